@@ -5,16 +5,57 @@
 class AvatarAnimator {
     constructor() {
         this.lottie = null;
-        this.animation = null;
-        this.isAnimating = false;
-        this.idleAnimation = 'https://lottie.host/aec2610e-f5fb-4861-8c9b-bf26695a655b/epnReZjYSz.json';
-        this.talkingAnimation = 'https://lottie.host/14f75e6d-e9ac-4f25-b48a-197002332f02/lisRG3x07s.json';
+        this.animation = null;              // Lottie instance currently shown
+        // Animation per state, set by the avatar pack; states without one show the idle animation
+        this.animationPaths = {
+            idle: null,
+            listening: null,
+            thinking: null,
+            talking: null,
+            error: null,
+            sleeping: null
+        };
+        // Expressions played once as a reply starts, cued by the emotion the AI tagged it with
+        this.expressionPaths = {
+            happy: null,
+            thinking: null,
+            sorry: null,
+            wave: null
+        };
+        this.expression = null;             // Expression waiting for the reply to be spoken
+        this.instances = {};                // Preloaded { element, animation } per state and "expression:<name>"
         this.currentState = 'idle';
+
+        // States each state may change to; a sleeping avatar has to be woken before it thinks or errs
+        this.transitions = {
+            idle: ['listening', 'thinking', 'talking', 'error', 'sleeping'],
+            listening: ['idle', 'thinking', 'talking', 'error', 'sleeping'],
+            thinking: ['idle', 'listening', 'talking', 'error', 'sleeping'],
+            talking: ['idle', 'listening', 'thinking', 'error', 'sleeping'],
+            error: ['idle', 'listening', 'thinking', 'talking', 'sleeping'],
+            sleeping: ['idle', 'listening', 'talking']
+        };
+        this.errorDuration = 3000;          // Time in ms the error state shows before returning to idle
+        this.errorTimer = null;
         this.containerElement = null;
-        this.isLoadingAnimation = false;
-        this.pendingAnimationChange = null;
-        this.loadRetries = 0;
         this.maxRetries = 3;
+
+        // Avatar packs live in public/avatars/<name>/ and are described by a manifest.json
+        this.packsPath = 'public/avatars';
+        this.defaultPack = 'robot';
+        this.pack = null;                   // Name of the loaded pack
+        this.fallbackImage = `${this.packsPath}/${this.defaultPack}/robot.svg`;
+        this.colors = {};                   // Pack colors, applied as --avatar-<name> CSS variables
+
+        // Lip-sync: the talking animation only moves while words are actually being spoken
+        this.lipSync = true;
+        this.mouthClosedFrame = 0;          // Frame of the talking animation with the mouth closed
+        this.mouthOpenSegment = null;       // [start, end] frames of mouth movement, null for the whole animation
+        this.mouthHoldTime = 250;           // Time in ms the mouth keeps moving after a word cue
+        this.mouthLevelThreshold = 0.08;    // Audio level (0-1) below which the mouth is closed
+        this.mouthMoving = false;
+        this.mouthCloseTimer = null;
+        this.lastMouthCueAt = 0;
     }
 
     async init(containerId) {
@@ -28,6 +69,8 @@ class AvatarAnimator {
                 return false;
             }
 
+            this.applyColors();
+
             // Lottie should already be loaded via the script tag in HTML
             this.lottie = window.lottie;
             if (!this.lottie) {
@@ -66,9 +109,8 @@ class AvatarAnimator {
             // Clear any existing content
             this.containerElement.innerHTML = '';
 
-            // Load idle animation
-            console.log('Loading idle animation from:', this.idleAnimation);
-            const success = await this.loadAnimation(this.idleAnimation);
+            // Load every animation up front, switching between them never touches the network
+            const success = await this.preloadAnimations();
 
             if (!success) {
                 console.error('Failed to load initial animation');
@@ -76,6 +118,9 @@ class AvatarAnimator {
                 return false;
             }
 
+            this.containerElement.dataset.state = this.currentState;
+            this.showAnimation(this.currentState);
+
             console.log('Avatar animation initialized successfully!');
             return true;
         } catch (error) {
@@ -88,154 +133,460 @@ class AvatarAnimator {
     fallbackToStatic() {
         console.log('Falling back to static image');
         if (this.containerElement) {
-            this.containerElement.innerHTML = '<img src="public/robot-avatar.gif" alt="AI Avatar" id="avatar-img" style="max-width:100%; max-height:100%;">';
+            const image = document.createElement('img');
+            image.src = this.fallbackImage;
+            image.alt = 'AI Avatar';
+            image.id = 'avatar-img';
+            image.style.maxWidth = '100%';
+            image.style.maxHeight = '100%';
+            this.containerElement.replaceChildren(image);
         }
     }
 
-    async loadAnimation(animationPath) {
-        // If already loading an animation, queue this request
-        if (this.isLoadingAnimation) {
-            console.log('Already loading an animation, will queue this request:', animationPath);
-            this.pendingAnimationChange = animationPath;
-            return true;
-        }
+    /**
+     * Load an avatar pack from public/avatars/<name>/manifest.json, before init()
+     * Falls back to the default pack if it is missing or incomplete
+     * @param {string} name - Pack folder name
+     * @returns {Promise<boolean>} Whether the requested pack is in use
+     */
+    async loadPack(name) {
+        try {
+            if (!/^[\w-]+$/.test(name || '')) {
+                throw new Error(`Invalid avatar pack name "${name}"`);
+            }
 
-        this.isLoadingAnimation = true;
-        this.loadRetries = 0;
+            const manifestUrl = new URL(`${this.packsPath}/${name}/manifest.json`, document.baseURI);
+            const response = await fetch(manifestUrl);
+            if (!response.ok) {
+                throw new Error(`Avatar pack "${name}" has no manifest (${manifestUrl.pathname}: ${response.status})`);
+            }
 
-        try {
-            // Destroy existing animation if any
-            if (this.animation) {
-                console.log('Destroying previous animation');
-                try {
-                    this.animation.destroy();
-                } catch (e) {
-                    console.warn('Error destroying previous animation:', e);
-                }
-                this.animation = null;
+            const manifest = await response.json();
+            const problems = this.validateManifest(manifest);
+            if (problems.length > 0) {
+                throw new Error(`Avatar pack "${name}" has an invalid manifest:\n  ${problems.join('\n  ')}`);
             }
 
-            console.log('Creating new animation with path:', animationPath);
+            // Asset paths are relative to the manifest
+            const animations = {};
+            Object.entries(manifest.animations).forEach(([state, path]) => {
+                animations[state] = new URL(path, manifestUrl).href;
+            });
+            const expressions = {};
+            Object.entries(manifest.expressions || {}).forEach(([expression, path]) => {
+                expressions[`expression:${expression}`] = new URL(path, manifestUrl).href;
+            });
+            const fallbackImage = new URL(manifest.fallbackImage, manifestUrl).href;
+
+            const missing = await this.findMissingAssets({ ...animations, ...expressions, fallbackImage });
+            if (missing.length > 0) {
+                const list = missing.map(({ asset, url, reason }) => `${asset}: ${url} (${reason})`).join('\n  ');
+                // Without an idle animation there is nothing to show, other states fall back to idle
+                if (missing.some(({ asset }) => asset === 'idle')) {
+                    throw new Error(`Avatar pack "${name}" is missing assets:\n  ${list}`);
+                }
+                console.error(`Avatar pack "${name}" is missing assets, the states will use the idle animation:\n  ${list}`);
+                missing.forEach(({ asset }) => {
+                    delete animations[asset];
+                    delete expressions[asset];
+                });
+            }
 
-            // Create new animation
-            this.animation = this.lottie.loadAnimation({
-                container: this.containerElement,
-                renderer: 'svg',
-                loop: true,
-                autoplay: true,
-                path: animationPath
+            Object.keys(this.animationPaths).forEach(state => {
+                this.animationPaths[state] = animations[state] || null;
             });
+            Object.keys(this.expressionPaths).forEach(expression => {
+                this.expressionPaths[expression] = expressions[`expression:${expression}`] || null;
+            });
+            if (!missing.some(({ asset }) => asset === 'fallbackImage')) {
+                this.fallbackImage = fallbackImage;
+            }
+            this.colors = manifest.colors || {};
+            if (manifest.lipSync) this.setLipSync(manifest.lipSync);
 
-            console.log('Animation created:', !!this.animation);
+            this.pack = name;
+            console.log(`Avatar pack loaded: ${manifest.name || name}`);
+            return true;
+        } catch (error) {
+            console.error('Error loading avatar pack:', error.message);
+
+            if (name !== this.defaultPack) {
+                console.log(`Using the default avatar pack "${this.defaultPack}"`);
+                await this.loadPack(this.defaultPack);
+            }
+            return false;
+        }
+    }
 
-            // Wait for animation to load
-            const loadResult = await new Promise((resolve) => {
-                // Set a success flag
-                let loadSuccessful = false;
+    // Problems with a manifest's structure, empty if it is valid
+    validateManifest(manifest) {
+        const problems = [];
 
-                const onLoaded = () => {
-                    console.log('Animation loaded successfully');
-                    this.animation.removeEventListener('DOMLoaded', onLoaded);
-                    loadSuccessful = true;
-                    resolve(true);
-                };
+        if (!manifest || typeof manifest !== 'object') {
+            return ['the manifest is not a JSON object'];
+        }
 
-                if (!this.animation) {
-                    console.error('Animation object is null');
-                    resolve(false);
-                    return;
+        if (!manifest.animations || typeof manifest.animations !== 'object') {
+            problems.push('"animations" must map avatar states to Lottie files');
+        } else {
+            if (!manifest.animations.idle) problems.push('"animations.idle" is required');
+            Object.entries(manifest.animations).forEach(([state, path]) => {
+                if (!this.transitions[state]) {
+                    problems.push(`"animations.${state}" is not an avatar state (${Object.keys(this.transitions).join(', ')})`);
+                } else if (typeof path !== 'string' || !path) {
+                    problems.push(`"animations.${state}" must be a file path`);
                 }
+            });
+        }
 
-                this.animation.addEventListener('DOMLoaded', onLoaded);
-
-                // Add error handler
-                const errorHandler = (err) => {
-                    console.error('Animation loading error:', err);
-                    this.animation?.removeEventListener('error', errorHandler);
-                    resolve(false);
-                };
+        if (manifest.expressions !== undefined) {
+            if (!manifest.expressions || typeof manifest.expressions !== 'object') {
+                problems.push('"expressions" must map expressions to Lottie files');
+            } else {
+                Object.entries(manifest.expressions).forEach(([expression, path]) => {
+                    if (!(expression in this.expressionPaths)) {
+                        problems.push(`"expressions.${expression}" is not an expression (${Object.keys(this.expressionPaths).join(', ')})`);
+                    } else if (typeof path !== 'string' || !path) {
+                        problems.push(`"expressions.${expression}" must be a file path`);
+                    }
+                });
+            }
+        }
 
-                this.animation.addEventListener('error', errorHandler);
+        if (typeof manifest.fallbackImage !== 'string' || !manifest.fallbackImage) {
+            problems.push('"fallbackImage" must be an image file path');
+        }
 
-                // Add a shorter timeout - if animation doesn't load quickly, it may be stuck
-                setTimeout(() => {
-                    if (!loadSuccessful) {
-                        console.log('Animation load timeout - resolving anyway');
-                        resolve(true); // Resolve as true since animations sometimes work despite timeout
+        if (manifest.colors !== undefined) {
+            if (!manifest.colors || typeof manifest.colors !== 'object') {
+                problems.push('"colors" must map color names to CSS colors');
+            } else {
+                Object.entries(manifest.colors).forEach(([key, value]) => {
+                    if (!/^[a-z][\w-]*$/i.test(key) || typeof value !== 'string') {
+                        problems.push(`"colors.${key}" must be a CSS color string`);
                     }
-                }, 1000);
-            });
+                });
+            }
+        }
 
-            // If the current state doesn't match the animation path we just loaded,
-            // it means a new animation was requested while we were loading
-            if (this.pendingAnimationChange) {
-                const nextAnimation = this.pendingAnimationChange;
-                this.pendingAnimationChange = null;
-                this.isLoadingAnimation = false;
+        return problems;
+    }
+
+    // Check every asset of a pack can be downloaded
+    async findMissingAssets(assets) {
+        const results = await Promise.all(Object.entries(assets).map(async ([asset, url]) => {
+            try {
+                const response = await fetch(url, { method: 'HEAD' });
+                // Some hosts don't allow HEAD requests, which doesn't mean the file is missing
+                if (response.ok || response.status === 405) return null;
+                return { asset, url, reason: `HTTP ${response.status}` };
+            } catch (error) {
+                return { asset, url, reason: 'could not be reached' };
+            }
+        }));
+
+        return results.filter(Boolean);
+    }
+
+    // Expose the pack's colors to the stylesheet
+    applyColors() {
+        Object.entries(this.colors).forEach(([key, value]) => {
+            document.documentElement.style.setProperty(`--avatar-${key}`, value);
+        });
+    }
 
-                // Load the pending animation
-                return await this.loadAnimation(nextAnimation);
+    /**
+     * Download every avatar animation once and create a hidden Lottie instance for each,
+     * so state changes only show and hide them
+     * @returns {Promise<boolean>} Whether the idle animation is available
+     */
+    async preloadAnimations() {
+        const paths = Object.entries(this.animationPaths).filter(([, path]) => path);
+        const expressionPaths = Object.entries(this.expressionPaths).filter(([, path]) => path)
+            .map(([expression, path]) => [`expression:${expression}`, path]);
+
+        await Promise.all([...paths, ...expressionPaths].map(async ([state, path]) => {
+            // Expressions play once, then the talking animation takes over again
+            const isExpression = state.startsWith('expression:');
+            const instance = await this.createAnimation(state, path, !isExpression);
+            if (!instance) return;
+
+            this.instances[state] = instance;
+            if (isExpression) {
+                instance.animation.addEventListener('complete', () => this.finishExpression(instance));
             }
+        }));
+
+        console.log('Avatar animations loaded:', Object.keys(this.instances).join(', ') || 'none');
+        return !!this.instances.idle;
+    }
+
+    async createAnimation(state, path, loop = true) {
+        const animationData = await this.fetchAnimationData(path);
+        if (!animationData) return null;
 
-            this.isLoadingAnimation = false;
-            return loadResult;
+        const element = document.createElement('div');
+        element.className = 'avatar-animation';
+        element.dataset.state = state;
+        element.hidden = true;
+        this.containerElement.appendChild(element);
+
+        try {
+            const animation = this.lottie.loadAnimation({
+                container: element,
+                renderer: 'svg',
+                loop,
+                autoplay: false,
+                animationData
+            });
+            return { element, animation };
         } catch (error) {
-            console.error('Error in loadAnimation:', error);
-            this.isLoadingAnimation = false;
-
-            // Try to retry loading a few times
-            this.loadRetries++;
-            if (this.loadRetries < this.maxRetries) {
-                console.log(`Retrying animation load (attempt ${this.loadRetries + 1}/${this.maxRetries})`);
-                return await this.loadAnimation(animationPath);
-            } else {
-                console.error('Max retries reached, falling back to static image');
-                this.fallbackToStatic();
-                return false;
+            console.error(`Error creating the ${state} animation:`, error);
+            element.remove();
+            return null;
+        }
+    }
+
+    async fetchAnimationData(path) {
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            try {
+                const response = await fetch(path);
+                if (!response.ok) {
+                    throw new Error(`Animation request error: ${response.status}`);
+                }
+                return await response.json();
+            } catch (error) {
+                console.warn(`Could not load animation ${path} (attempt ${attempt}/${this.maxRetries}):`, error);
             }
         }
+
+        console.error('Max retries reached for animation:', path);
+        return null;
     }
 
-    startTalking() {
-        try {
-            // Debounce rapid calls - only change if state is different
-            console.log('Starting talking animation, current state:', this.currentState);
-            if (this.currentState === 'talking') {
-                console.log('Already in talking state, ignoring request');
+    // Show the animation of a state and pause the others; states without one show the idle animation
+    showAnimation(state) {
+        const target = this.instances[state] || this.instances.idle;
+        if (!target) return;
+
+        Object.values(this.instances).forEach(instance => {
+            if (instance === target) return;
+            instance.animation.stop();
+            instance.element.hidden = true;
+        });
+
+        if (target.animation !== this.animation || target.element.hidden) {
+            // Lip-sync may have left the animation on a segment
+            target.animation.resetSegments(true);
+            target.animation.goToAndPlay(0, true);
+            target.element.hidden = false;
+        }
+        this.animation = target.animation;
+    }
+
+    /**
+     * Set the animation of one or more states, before init()
+     * @param {Object<string, string>} paths - Lottie JSON URL per state
+     */
+    setAnimations(paths = {}) {
+        Object.entries(paths).forEach(([state, path]) => {
+            if (!this.transitions[state]) {
+                console.warn(`Unknown avatar state "${state}", animation ignored`);
                 return;
             }
+            this.animationPaths[state] = path;
+        });
+    }
 
-            // Update state immediately to prevent duplicate calls
-            this.currentState = 'talking';
+    /**
+     * Change what the avatar is doing
+     * @param {string} state - 'idle', 'listening', 'thinking', 'talking', 'error' or 'sleeping'
+     * @returns {boolean} Whether the avatar is now in that state
+     */
+    setState(state) {
+        if (!this.transitions[state]) {
+            console.warn(`Unknown avatar state "${state}"`);
+            return false;
+        }
+        if (state === this.currentState) return true;
 
-            console.log('Switching to talking animation');
-            this.loadAnimation(this.talkingAnimation).catch(err => {
-                console.error('Failed to load talking animation:', err);
-            });
-        } catch (error) {
-            console.error('Error in startTalking:', error);
+        if (!this.transitions[this.currentState].includes(state)) {
+            console.log(`Avatar: Ignoring ${this.currentState} -> ${state}, not an allowed transition`);
+            return false;
+        }
+
+        console.log(`Avatar state: ${this.currentState} -> ${state}`);
+        this.currentState = state;
+
+        clearTimeout(this.mouthCloseTimer);
+        this.mouthMoving = false;
+        clearTimeout(this.errorTimer);
+
+        // An expression belongs to the reply being prepared or spoken
+        if (state !== 'thinking' && state !== 'talking') this.clearExpression();
+
+        if (this.containerElement) this.containerElement.dataset.state = state;
+        this.showAnimation(state);
+
+        if (state === 'talking') {
+            if (this.expression) this.playExpression();
+            this.syncMouth();
+        } else if (state === 'error') {
+            this.errorTimer = setTimeout(() => this.endState('error'), this.errorDuration);
+        }
+
+        return true;
+    }
+
+    /**
+     * Return to idle if the avatar is still in one of the given states
+     * Lets each part of the app end only the state it started
+     * @param {...string} states
+     */
+    endState(...states) {
+        if (states.includes(this.currentState)) this.setState('idle');
+    }
+
+    /**
+     * Show an expression with the reply about to be spoken, e.g. the emotion tag of an AI answer
+     * It plays once when the avatar starts talking, or right away if it already is
+     * @param {string} expression - 'happy', 'thinking', 'sorry' or 'wave'
+     */
+    setExpression(expression) {
+        if (!(expression in this.expressionPaths)) {
+            console.warn(`Unknown avatar expression "${expression}"`);
+            return;
         }
+
+        console.log('Avatar expression:', expression);
+        this.expression = expression;
+        // Packs without an animation for it still get a visual cue from the stylesheet
+        if (this.containerElement) this.containerElement.dataset.expression = expression;
+
+        if (this.currentState === 'talking') this.playExpression();
+    }
+
+    playExpression() {
+        const key = `expression:${this.expression}`;
+        this.expression = null;
+        if (!this.instances[key]) return;
+
+        clearTimeout(this.mouthCloseTimer);
+        this.mouthMoving = false;
+        this.showAnimation(key);
+    }
+
+    // Back to the talking animation once an expression has played, if it is still shown
+    finishExpression(instance) {
+        if (this.animation !== instance.animation) return;
+
+        this.showAnimation(this.currentState);
+        if (this.currentState === 'talking') this.syncMouth();
+    }
+
+    clearExpression() {
+        this.expression = null;
+        if (this.containerElement) delete this.containerElement.dataset.expression;
+    }
+
+    startTalking() {
+        this.setState('talking');
     }
 
     stopTalking() {
-        try {
-            // Debounce rapid calls - only change if state is different
-            console.log('Stopping talking animation, current state:', this.currentState);
-            if (this.currentState === 'idle') {
-                console.log('Already in idle state, ignoring request');
-                return;
-            }
+        this.endState('talking');
+    }
 
-            // Update state immediately to prevent duplicate calls
-            this.currentState = 'idle';
+    // Speech paused: keep the talking animation but close the mouth
+    pauseTalking() {
+        if (this.currentState === 'talking') this.closeMouth();
+    }
 
-            console.log('Switching to idle animation');
-            this.loadAnimation(this.idleAnimation).catch(err => {
-                console.error('Failed to load idle animation:', err);
-            });
-        } catch (error) {
-            console.error('Error in stopTalking:', error);
+    /**
+     * Configure lip-sync for the talking animation
+     * @param {Object} options
+     * @param {boolean} [options.enabled] - Follow speech, or loop the talking animation while speaking
+     * @param {number} [options.closedFrame] - Frame with the mouth closed
+     * @param {Array<number>} [options.openSegment] - [start, end] frames of the mouth moving
+     */
+    setLipSync({ enabled, closedFrame, openSegment } = {}) {
+        if (enabled !== undefined) this.lipSync = enabled;
+        if (closedFrame !== undefined) this.mouthClosedFrame = closedFrame;
+        if (openSegment !== undefined) this.mouthOpenSegment = openSegment;
+    }
+
+    /**
+     * A word is being spoken: move the mouth, and close it if no further cue arrives in time
+     * Called by the TTS on each word boundary
+     */
+    mouthCue() {
+        if (!this.lipSync || this.currentState !== 'talking') return;
+
+        this.lastMouthCueAt = Date.now();
+        clearTimeout(this.mouthCloseTimer);
+        this.mouthCloseTimer = setTimeout(() => this.closeMouth(), this.mouthHoldTime);
+
+        if (!this.mouthMoving) this.openMouth();
+    }
+
+    /**
+     * Open the mouth as far as the loudness of the speech audio being played
+     * Called by the TTS when the voice is an audio stream it can measure
+     * @param {number} level - 0 (silent) to 1 (loud)
+     */
+    setMouthLevel(level) {
+        if (!this.lipSync || this.currentState !== 'talking' || !this.isAnimationReady()) return;
+
+        clearTimeout(this.mouthCloseTimer);
+        if (level < this.mouthLevelThreshold) {
+            this.closeMouth();
+            return;
         }
+
+        const [start, end] = this.getMouthOpenSegment();
+        this.mouthMoving = false;
+        this.animation.goToAndStop(start + Math.round((end - start) * Math.min(1, level)), true);
+    }
+
+    openMouth() {
+        if (!this.isAnimationReady()) return;
+
+        this.mouthMoving = true;
+        if (this.mouthOpenSegment) {
+            this.animation.playSegments(this.mouthOpenSegment, true);
+        } else {
+            this.animation.play();
+        }
+    }
+
+    closeMouth() {
+        clearTimeout(this.mouthCloseTimer);
+        this.mouthMoving = false;
+        if (!this.isAnimationReady() || this.currentState !== 'talking') return;
+
+        this.animation.goToAndStop(this.mouthClosedFrame, true);
+    }
+
+    // Match the mouth to the speech when the talking animation is shown
+    syncMouth() {
+        if (!this.lipSync) return;
+
+        if (Date.now() - this.lastMouthCueAt < this.mouthHoldTime) {
+            this.openMouth();
+            clearTimeout(this.mouthCloseTimer);
+            this.mouthCloseTimer = setTimeout(() => this.closeMouth(), this.mouthHoldTime);
+        } else {
+            this.closeMouth();
+        }
+    }
+
+    // Lip-sync needs the talking animation to be the one shown
+    isAnimationReady() {
+        return !!this.instances.talking && this.animation === this.instances.talking.animation;
+    }
+
+    getMouthOpenSegment() {
+        return this.mouthOpenSegment || [0, Math.max(0, Math.floor(this.animation.totalFrames) - 1)];
     }
 }
 
@@ -3,68 +3,360 @@
  */
 class Conversation {
     constructor() {
-        // Predefined welcome messages
-        this.welcomeMessages = [
-            "Hello and welcome to Gitex Africa",
-            "Welcome to Atlas Cloud Services stand here at Gitex Africa",
-            "Hello there, welcome to Gitex Africa 2025"
-        ];
+        // Predefined welcome messages, per language
+        this.welcomeMessages = {
+            en: [
+                "Hello and welcome to Gitex Africa",
+                "Welcome to Atlas Cloud Services stand here at Gitex Africa",
+                "Hello there, welcome to Gitex Africa 2025"
+            ],
+            fr: [
+                "Bonjour et bienvenue à Gitex Africa",
+                "Bienvenue sur le stand d'Atlas Cloud Services à Gitex Africa",
+                "Bonjour, bienvenue à Gitex Africa 2025"
+            ],
+            ar: [
+                "مرحبا بكم في جيتكس إفريقيا",
+                "مرحبا بكم في جناح أطلس كلاود سيرفيسز في جيتكس إفريقيا",
+                "أهلا وسهلا، مرحبا بكم في جيتكس إفريقيا 2025"
+            ]
+        };
 
-        // Fallback responses for when AI is unavailable
+        // Fallback responses for when AI is unavailable, per language
         this.fallbackResponses = {
-            "default": "I'm having trouble connecting to my AI brain. Could you try again in a moment?",
-            "processing": "I'm still thinking about that. Give me a moment to process your request."
+            en: {
+                "default": "I'm having trouble connecting to my AI brain. Could you try again in a moment?",
+                "processing": "I'm still thinking about that. Give me a moment to process your request."
+            },
+            fr: {
+                "default": "J'ai du mal à me connecter à mon cerveau d'IA. Pouvez-vous réessayer dans un instant ?",
+                "processing": "Je réfléchis encore à votre question. Laissez-moi un instant."
+            },
+            ar: {
+                "default": "أواجه صعوبة في الاتصال بعقلي الذكي. هل يمكنك المحاولة بعد لحظة؟",
+                "processing": "ما زلت أفكر في سؤالك. امنحني لحظة من فضلك."
+            }
         };
 
-        // Company information to inform AI responses
+        // Conversation memory for the current visitor, as Gemini role-tagged turns
+        this.history = [];
+        this.maxHistoryTurns = 10;      // Max user/model messages kept (5 exchanges)
+        this.maxHistoryTokens = 1500;   // Rough token budget for the kept history
+
+        // Knowledge base retrieval (facts live in the server's knowledge/ folder)
+        this.knowledgeEndpoint = '/api/knowledge/search';
+        this.maxPassages = 3;
+        this.lastResponse = null;       // { text, sources, emotion } for the most recent answer
+        this.controller = null;         // AbortController of the reply being prepared, see cancel()
+
+        // Emotion tags the AI starts its replies with, shown by the avatar while the reply is spoken
+        this.emotions = ['happy', 'thinking', 'sorry', 'wave'];
+
+        // Role and behaviour instructions for the AI; facts come from the knowledge base
         this.companyContext = `
             You are an AI assistant at Atlas Cloud Services stand at Gitex Africa 2025.
 
-            Important event details:
-            - GITEX AFRICA is being held from April 14-16, 2025
-            - It's the largest tech and startup event in Africa
-            - The event is hosted in Morocco, Marrakech city
-            - This is a major digital economy and tech exhibition
-
-            Company information:
-            - Atlas Cloud Services (ACS) is a partnership between OCP (world's leading phosphate industry player) and Mohammed VI Polytechnic University (UM6P)
-            - ACS aims to contribute to Morocco's digital sovereignty and transformation
-            - ACS operates a Data Center certified Tier III and Tier IV by the Uptime Institute
-            - The Data Center is located in the Tech Park in Benguerir, Morocco
-            - ACS offers a range of Data Center and Cloud services based on latest technologies
-            - ACS provides sovereign cloud solutions designed in Morocco, ensuring data confidentiality, security and compliance with local laws
-            - Core pillars: Data Privacy, Data Residency, Locality, and Governance Authority
-            - Core values: Pride, Responsibility, Agility, and Ambition
-            - Mission: Accelerate Digital Transformation of Moroccan institutions and businesses, and catalyze development of new digital services
+            Each visitor question comes with relevant information from our knowledge base.
+            Base your answers on that information.
 
             VERY IMPORTANT INSTRUCTIONS:
             - NEVER introduce yourself or mention all our services in one response
             - Don't list multiple services unless specifically asked
             - Speak in a friendly but concise tone
             - If you don't have the correct answer, just ask to speak to one of our people on the stand as they may have the answer
+            - Keep every answer very brief (max 20 words)
+            - Use the earlier turns of the conversation to understand follow-up questions
+            - Start every answer with one emotion tag in square brackets, then the answer:
+              [happy] for good news or thanks, [thinking] for explanations, [sorry] when you can't help,
+              [wave] for greetings and goodbyes. Never use any other tag or put a tag elsewhere.
         `;
     }
 
+    // Current kiosk language code, English if the language manager isn't loaded
+    getLanguageCode() {
+        return window.language ? window.language.currentLanguage : 'en';
+    }
+
     getWelcomeMessage() {
-        // Randomly select one of the welcome messages
-        const randomIndex = Math.floor(Math.random() * this.welcomeMessages.length);
-        return this.welcomeMessages[randomIndex];
+        // Randomly select one of the welcome messages in the current language
+        const messages = this.welcomeMessages[this.getLanguageCode()] || this.welcomeMessages.en;
+        const randomIndex = Math.floor(Math.random() * messages.length);
+        return messages[randomIndex];
     }
 
-    async getResponse(userInput) {
-        if (!userInput) return this.fallbackResponses.default;
+    getFallbackResponse(type = 'default') {
+        const responses = this.fallbackResponses[this.getLanguageCode()] || this.fallbackResponses.en;
+        return responses[type] || this.fallbackResponses.en[type];
+    }
+
+    /**
+     * Get the AI reply to what the visitor said
+     * @param {string} userInput - The visitor's transcript
+     * @param {Object} [options]
+     * @param {Function} [options.onChunk] - When given, the reply is streamed and each text chunk is passed here
+     * @param {Function} [options.onEmotion] - Receives the reply's emotion tag (see this.emotions) as soon as it is known
+     * @param {Function} [options.onStreamError] - Receives the text already passed to onChunk when the stream breaks
+     * off part way; the returned fallback response does not continue that text
+     * @returns {Promise<string|null>} The full reply without its emotion tag, a fallback response on failure,
+     * or null if the request was cancelled
+     */
+    async getResponse(userInput, options = {}) {
+        if (!userInput) return this.getFallbackResponse();
+
+        // One reply at a time, counting one that is still searching the knowledge base
+        if (this.controller || window.geminiAI.isProcessing) {
+            return this.getFallbackResponse('processing');
+        }
+
+        // No point waiting for the AI when the browser knows it is offline
+        if (navigator.onLine === false) {
+            console.warn('Browser is offline, answering from the FAQ');
+            return this.getOfflineResponse(userInput);
+        }
+
+        // What the caller has been given of a streamed reply so far
+        let streamedText = '';
+        const onChunk = options.onChunk && (chunk => {
+            streamedText += chunk;
+            options.onChunk(chunk);
+        });
+
+        const controller = new AbortController();
+        this.controller = controller;
 
         try {
-            // Create prompt with context for the AI
-            const prompt = `${this.companyContext}\n\nVisitor at the stand says: "${userInput}"\n\nYour very brief response (max 20 words):`;
+            const userTurn = { role: 'user', parts: [{ text: userInput }] };
+
+            // Look up the facts relevant to this question
+            const passages = await this.retrievePassages(userInput, controller.signal);
+
+            // Cancelled during the search, before Gemini was asked
+            controller.signal.throwIfAborted();
+
+            // Get response from Gemini with the conversation so far
+            const contents = this.buildContents(userTurn, passages);
+            const reply = onChunk
+                ? await this.streamResponse(contents, onChunk, options.onEmotion)
+                : await window.geminiAI.generateResponse(contents);
+
+            const { emotion, text: response } = this.parseEmotion(reply);
+            if (!onChunk && emotion && options.onEmotion) options.onEmotion(emotion);
+
+            // A reply that lost the race with cancel() must not end up in the next visitor's history
+            controller.signal.throwIfAborted();
+
+            // Only remember exchanges that actually got an answer; the tag is kept so the AI sees the format
+            this.history.push(userTurn, { role: 'model', parts: [{ text: reply }] });
+            this.trimHistory();
+
+            // Keep track of which knowledge passages the answer was based on
+            this.lastResponse = { text: response, sources: passages.map(passage => passage.source), emotion };
+            if (passages.length) console.log('Answer sources:', this.lastResponse.sources);
 
-            // Get response from Gemini
-            const response = await window.geminiAI.generateResponse(prompt);
             return response;
         } catch (error) {
+            // Cancelled on purpose (the visitor interrupted), there is nothing to answer
+            if (error.name === 'AbortError') {
+                console.log('AI response cancelled');
+                return null;
+            }
+
             console.error('Error getting AI response:', error);
-            return this.fallbackResponses.default;
+            if (streamedText.trim() && options.onStreamError) {
+                options.onStreamError(streamedText);
+            }
+            return this.getOfflineResponse(userInput);
+        } finally {
+            if (this.controller === controller) this.controller = null;
+        }
+    }
+
+    /**
+     * Drop the reply being prepared, whether it is still searching the knowledge base or waiting on Gemini
+     * The pending getResponse() call resolves to null
+     */
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+        window.geminiAI.cancel();
+    }
+
+    /**
+     * Pick the speech recognition alternative that best matches the known vocabulary
+     * @param {Array<{transcript: string, confidence: number}>} alternatives - N-best list, best first
+     * @returns {string} The chosen transcript (the recognizer's best one unless another matches more known words)
+     */
+    chooseAlternative(alternatives) {
+        // Domain lexicon words plus the words of the FAQ questions
+        const knownWords = window.vocabulary ? window.vocabulary.getWords() : new Set();
+        if (window.faq) {
+            window.faq.getVocabulary().forEach(word => knownWords.add(word));
+        }
+
+        // Accents are stripped like the FAQ does, so "Benguérir" matches "benguerir"
+        const countKnownWords = text => (window.textMatching.normalize(text)
+            .match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(word => knownWords.has(word)).length;
+
+        let best = alternatives[0];
+        let bestCount = countKnownWords(best.transcript);
+
+        alternatives.slice(1).forEach(alternative => {
+            const count = countKnownWords(alternative.transcript);
+            if (count > bestCount) {
+                best = alternative;
+                bestCount = count;
+            }
+        });
+
+        if (best !== alternatives[0]) {
+            console.log(`Using recognition alternative "${best.transcript}" over "${alternatives[0].transcript}"`);
+        }
+
+        return best.transcript;
+    }
+
+    // Answer from the local FAQ when the AI is unreachable, or fall back to the canned apology
+    getOfflineResponse(userInput) {
+        const answer = window.faq ? window.faq.findAnswer(userInput, this.getLanguageCode()) : null;
+
+        if (answer) {
+            this.lastResponse = { text: answer, sources: ['faq'] };
+            return answer;
         }
+
+        return this.getFallbackResponse();
+    }
+
+    // Collect a streamed reply while handing each chunk to the caller
+    // The start of the reply is held back until its emotion tag can be split off
+    async streamResponse(contents, onChunk, onEmotion) {
+        let response = '';
+        let opening = '';
+        let tagChecked = false;
+
+        const releaseOpening = () => {
+            tagChecked = true;
+            const { emotion, text } = this.parseEmotion(opening);
+            if (emotion && onEmotion) onEmotion(emotion);
+            if (text) onChunk(text);
+        };
+
+        for await (const chunk of window.geminiAI.streamResponse(contents)) {
+            response += chunk;
+
+            if (tagChecked) {
+                onChunk(chunk);
+                continue;
+            }
+
+            opening += chunk;
+            if (this.isOpeningComplete(opening)) releaseOpening();
+        }
+
+        if (!tagChecked && opening) releaseOpening();
+
+        if (!this.parseEmotion(response).text.trim()) {
+            throw new Error('Empty streamed response');
+        }
+
+        return response;
+    }
+
+    // Whether enough of a reply has arrived to tell if it starts with an emotion tag
+    isOpeningComplete(text) {
+        const start = text.trimStart();
+        if (!start) return false;
+        return !start.startsWith('[') || start.includes(']') || start.length > 20;
+    }
+
+    /**
+     * Split the emotion tag off the start of an AI reply
+     * @param {string} reply - e.g. "[happy] Glad you like it!"
+     * @returns {{emotion: string|null, text: string}} Unknown tags are dropped, Markdown links are left alone
+     */
+    parseEmotion(reply) {
+        const match = reply.match(/^\s*\[([a-z]+)\](?!\()\s*/i);
+        if (!match) return { emotion: null, text: reply };
+
+        const emotion = match[1].toLowerCase();
+        return {
+            emotion: this.emotions.includes(emotion) ? emotion : null,
+            text: reply.slice(match[0].length)
+        };
+    }
+
+    /**
+     * Fetch the knowledge base passages most relevant to the visitor's question
+     * The previous question is included so follow-ups ("tell me more") still find the topic
+     * @param {AbortSignal} [signal] - Aborts the search
+     * @returns {Promise<Array<{source: string, title: string, text: string}>>} Empty on failure or abort
+     */
+    async retrievePassages(userInput, signal) {
+        const previousTurn = this.history.filter(turn => turn.role === 'user').pop();
+        const query = previousTurn ? `${userInput} ${previousTurn.parts[0].text}` : userInput;
+
+        try {
+            const params = new URLSearchParams({ q: query, limit: this.maxPassages });
+            const response = await fetch(`${this.knowledgeEndpoint}?${params}`, { signal });
+
+            if (!response.ok) {
+                throw new Error(`Knowledge search error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.results || [];
+        } catch (error) {
+            if (error.name === 'AbortError') return [];
+            console.error('Error retrieving knowledge passages:', error);
+            return [];
+        }
+    }
+
+    // Build the role-tagged contents: context primer, previous turns, then the new question
+    // Retrieved passages are only attached to the new question, not kept in history
+    buildContents(userTurn, passages = []) {
+        const languageInstruction = window.language ? window.language.getAiInstruction() : '';
+
+        let question = userTurn;
+        if (passages.length) {
+            const facts = passages.map(passage => `- ${passage.title}: ${passage.text}`).join('\n');
+            question = {
+                role: 'user',
+                parts: [{ text: `Relevant information:\n${facts}\n\nVisitor at the stand says: "${userTurn.parts[0].text}"` }]
+            };
+        }
+
+        return [
+            { role: 'user', parts: [{ text: `${this.companyContext}\n${languageInstruction}` }] },
+            { role: 'model', parts: [{ text: 'Understood. I will follow these instructions.' }] },
+            ...this.history,
+            question
+        ];
+    }
+
+    // Drop the oldest exchanges until the history fits both the turn and token caps
+    trimHistory() {
+        while (this.history.length > this.maxHistoryTurns ||
+               (this.history.length > 2 && this.estimateTokens(this.history) > this.maxHistoryTokens)) {
+            // Remove a whole user/model pair so the history always starts with a user turn
+            this.history.splice(0, 2);
+        }
+    }
+
+    // Rough token estimate (~4 characters per token)
+    estimateTokens(turns) {
+        const chars = turns.reduce((total, turn) =>
+            total + turn.parts.reduce((sum, part) => sum + (part.text || '').length, 0), 0);
+        return Math.ceil(chars / 4);
+    }
+
+    resetHistory() {
+        this.history = [];
+        this.lastResponse = null;
+        console.log('Conversation history cleared');
     }
 }
 
@@ -0,0 +1,104 @@
+/**
+ * Offline FAQ answers with fuzzy question matching
+ * Used by the conversation when the AI can't be reached
+ */
+class FaqMatcher {
+    constructor(url = 'data/faq.json') {
+        this.url = url;
+        this.entries = [];
+        this.matchThreshold = 0.6;   // Minimum similarity (0-1) to accept a match
+        this.debugMode = true;
+
+        // Words that don't help tell questions apart
+        this.stopwords = new Set([
+            'a', 'an', 'the', 'is', 'are', 'do', 'does', 'you', 'your', 'i', 'me', 'to', 'of', 'in', 'can', 'please', 'tell', 'about',
+            'le', 'la', 'les', 'de', 'des', 'du', 'est', 'que', 'qu', 'ce', 'c', 'vous', 'votre', 'je'
+        ]);
+    }
+
+    // Load the FAQ file once while the network is up, so matching works offline afterwards
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`FAQ load error: ${response.status}`);
+            }
+
+            const entries = await response.json();
+            this.entries = entries.map(entry => ({
+                answers: entry.answers || {},
+                questions: (entry.questions || []).map(question => this.tokenize(question))
+            }));
+
+            if (this.debugMode) console.log(`FAQ: Loaded ${this.entries.length} entries`);
+            return true;
+        } catch (error) {
+            console.error('FAQ: Could not load FAQ file:', error);
+            return false;
+        }
+    }
+
+    tokenize(text) {
+        return window.textMatching.normalize(text)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token && !this.stopwords.has(token));
+    }
+
+    tokensMatch(a, b) {
+        if (a === b) return true;
+        // Allow one typo in longer words only, short words must match exactly
+        return a.length >= 4 && b.length >= 4 && window.textMatching.editDistance(a, b) <= 1;
+    }
+
+    // Dice similarity between two token lists, with fuzzy token equality
+    similarity(queryTokens, questionTokens) {
+        if (queryTokens.length === 0 || questionTokens.length === 0) return 0;
+
+        const matched = queryTokens.filter(token =>
+            questionTokens.some(candidate => this.tokensMatch(token, candidate))).length;
+
+        return (2 * matched) / (queryTokens.length + questionTokens.length);
+    }
+
+    // Every word used in the FAQ questions
+    getVocabulary() {
+        const words = new Set();
+        this.entries.forEach(entry => {
+            entry.questions.forEach(questionTokens => questionTokens.forEach(token => words.add(token)));
+        });
+        return words;
+    }
+
+    /**
+     * Find the FAQ answer closest to what the visitor asked
+     * @param {string} text - The visitor's question
+     * @param {string} [language='en'] - Preferred answer language
+     * @returns {string|null} The answer, or null if nothing matches well enough
+     */
+    findAnswer(text, language = 'en') {
+        const queryTokens = this.tokenize(text || '');
+        let best = null;
+        let bestScore = 0;
+
+        this.entries.forEach(entry => {
+            entry.questions.forEach(questionTokens => {
+                const score = this.similarity(queryTokens, questionTokens);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = entry;
+                }
+            });
+        });
+
+        if (!best || bestScore < this.matchThreshold) {
+            if (this.debugMode) console.log(`FAQ: No match for "${text}" (best score ${bestScore.toFixed(2)})`);
+            return null;
+        }
+
+        if (this.debugMode) console.log(`FAQ: Matched "${text}" (score ${bestScore.toFixed(2)})`);
+        return best.answers[language] || best.answers.en || null;
+    }
+}
+
+// Export as global variable
+window.faq = new FaqMatcher();
\ No newline at end of file
@@ -0,0 +1,290 @@
+/**
+ * Language handling for the kiosk (English, French and Arabic)
+ * Switches speech recognition, voice selection, UI strings and the AI answer language
+ */
+class LanguageManager {
+    constructor() {
+        this.defaultLanguage = 'en';
+        this.currentLanguage = this.defaultLanguage;
+        this.listeners = [];
+        this.debugMode = true;
+
+        // Per-language settings
+        // speechLang: recognition locale, voiceLang: prefix used to pick a TTS voice
+        this.languages = {
+            en: {
+                name: 'English',
+                label: 'EN',
+                speechLang: 'en-US',
+                voiceLang: 'en',
+                dir: 'ltr',
+                aiInstruction: 'Always answer in English.',
+                endingPhrases: []
+            },
+            fr: {
+                name: 'French',
+                label: 'FR',
+                speechLang: 'fr-FR',
+                voiceLang: 'fr',
+                dir: 'ltr',
+                aiInstruction: 'Always answer in French (français).',
+                endingPhrases: ['merci', 'merci beaucoup', 'au revoir', 'bonne journée', 'ok merci', 'super merci']
+            },
+            ar: {
+                name: 'Arabic',
+                label: 'عربي',
+                speechLang: 'ar-MA',
+                voiceLang: 'ar',
+                dir: 'rtl',
+                aiInstruction: 'Always answer in Arabic (العربية), using simple Modern Standard Arabic.',
+                endingPhrases: ['شكرا', 'شكرا جزيلا', 'مع السلامة', 'بسلامة', 'الله يعطيك الصحة']
+            }
+        };
+
+        // UI strings, keyed by language then by string id
+        // {name} placeholders are filled in by t()
+        this.strings = {
+            en: {
+                clickToSpeak: 'Click microphone to speak',
+                listening: 'Listening...',
+                listeningContinuously: 'Listening continuously...',
+                starting: 'Starting...',
+                speechDetected: 'Listening: Speech detected!',
+                waitingForMore: 'Listening: Waiting for more...',
+                waitingSeconds: 'Listening: Waiting {seconds}s for more...',
+                continuousDisabled: 'Continuous listening disabled',
+                wakeListening: 'I\'m listening...',
+                sayWakePhrase: 'Say "{phrase}" to talk to me',
+                triggerWelcomeFirst: 'Please trigger welcome message first',
+                speechInputNotSupported: 'Speech input not supported in this browser',
+                requiresHttps: 'Speech recognition requires HTTPS',
+                grantAccess: 'Click microphone to grant access',
+                messageTriggerWelcome: 'Please trigger the welcome message first to start the conversation.',
+                messageContinuousDisabled: 'Continuous listening mode disabled. Click the microphone each time you want to speak.',
+                messageContinuousEnabled: 'Continuous listening mode enabled. I\'ll keep listening for your questions.',
+                messageBrowserUnsupported: 'Your browser doesn\'t support speech recognition. Please try Chrome, Edge or Firefox.',
+                messageNeedMicrophone: 'I need microphone access to hear you. Please allow microphone access when prompted.',
+                messagePleaseWait: 'Please wait while I\'m processing your previous request.',
+                messagePleaseRepeat: 'Sorry, I didn\'t quite catch that. Could you say it again?',
+                errorGeneric: 'Error with speech recognition. Try again.',
+                errorNetwork: 'Network error. Please check your internet connection.',
+                errorNotAllowed: 'Microphone access denied. Please allow access.',
+                errorAborted: 'Speech recognition was aborted.',
+                errorAudioCapture: 'No microphone detected.',
+                errorNoSpeech: 'No speech detected. Please try again.',
+                errorNoSpeechReset: 'Speech recognition reset due to silence.',
+                errorNoSpeechExpected: 'Waiting for next question...',
+                errorNoSpeechAfterResponse: 'Ready for your next question',
+                errorNotSupported: 'Speech recognition is not supported in this browser.',
+                errorStart: 'Error starting speech recognition.',
+                errorNoMatch: 'Sorry, I didn\'t recognize what you said.',
+                errorConnectivity: 'Network connectivity issues detected.',
+                welcomeButton: 'Trigger Welcome',
+                resetButton: 'Reset',
+                defaultMicrophone: 'Default microphone',
+                microphoneLabel: 'Microphone {number}',
+                microphoneDisconnected: 'Disconnected microphone',
+                microphoneMissing: 'Selected microphone disconnected, using the default one'
+            },
+            fr: {
+                clickToSpeak: 'Cliquez sur le micro pour parler',
+                listening: 'À l\'écoute...',
+                listeningContinuously: 'Écoute continue...',
+                starting: 'Démarrage...',
+                speechDetected: 'À l\'écoute : parole détectée !',
+                waitingForMore: 'À l\'écoute : en attente de la suite...',
+                waitingSeconds: 'À l\'écoute : encore {seconds}s...',
+                continuousDisabled: 'Écoute continue désactivée',
+                wakeListening: 'Je vous écoute...',
+                sayWakePhrase: 'Dites « {phrase} » pour me parler',
+                triggerWelcomeFirst: 'Veuillez d\'abord lancer le message d\'accueil',
+                speechInputNotSupported: 'La saisie vocale n\'est pas prise en charge par ce navigateur',
+                requiresHttps: 'La reconnaissance vocale nécessite HTTPS',
+                grantAccess: 'Cliquez sur le micro pour autoriser l\'accès',
+                messageTriggerWelcome: 'Veuillez d\'abord lancer le message d\'accueil pour commencer la conversation.',
+                messageContinuousDisabled: 'Écoute continue désactivée. Cliquez sur le micro à chaque fois que vous voulez parler.',
+                messageContinuousEnabled: 'Écoute continue activée. Je reste à l\'écoute de vos questions.',
+                messageBrowserUnsupported: 'Votre navigateur ne prend pas en charge la reconnaissance vocale. Essayez Chrome, Edge ou Firefox.',
+                messageNeedMicrophone: 'J\'ai besoin d\'accéder au micro pour vous entendre. Veuillez l\'autoriser.',
+                messagePleaseWait: 'Veuillez patienter, je traite votre demande précédente.',
+                messagePleaseRepeat: 'Pardon, je n\'ai pas bien compris. Pouvez-vous répéter ?',
+                errorGeneric: 'Erreur de reconnaissance vocale. Réessayez.',
+                errorNetwork: 'Erreur réseau. Vérifiez votre connexion internet.',
+                errorNotAllowed: 'Accès au micro refusé. Veuillez l\'autoriser.',
+                errorAborted: 'La reconnaissance vocale a été interrompue.',
+                errorAudioCapture: 'Aucun micro détecté.',
+                errorNoSpeech: 'Aucune parole détectée. Réessayez.',
+                errorNoSpeechReset: 'Reconnaissance vocale réinitialisée après un silence.',
+                errorNoSpeechExpected: 'En attente de la prochaine question...',
+                errorNoSpeechAfterResponse: 'Prêt pour votre prochaine question',
+                errorNotSupported: 'La reconnaissance vocale n\'est pas prise en charge par ce navigateur.',
+                errorStart: 'Erreur au démarrage de la reconnaissance vocale.',
+                errorNoMatch: 'Désolé, je n\'ai pas compris ce que vous avez dit.',
+                errorConnectivity: 'Problèmes de connexion réseau détectés.',
+                welcomeButton: 'Lancer l\'accueil',
+                resetButton: 'Réinitialiser',
+                defaultMicrophone: 'Microphone par défaut',
+                microphoneLabel: 'Microphone {number}',
+                microphoneDisconnected: 'Microphone déconnecté',
+                microphoneMissing: 'Microphone sélectionné déconnecté, utilisation du microphone par défaut'
+            },
+            ar: {
+                clickToSpeak: 'اضغط على الميكروفون للتحدث',
+                listening: 'أستمع...',
+                listeningContinuously: 'استماع متواصل...',
+                starting: 'جارٍ البدء...',
+                speechDetected: 'أستمع: تم رصد كلام!',
+                waitingForMore: 'أستمع: في انتظار المزيد...',
+                waitingSeconds: 'أستمع: في انتظار المزيد {seconds} ث...',
+                continuousDisabled: 'تم إيقاف الاستماع المتواصل',
+                wakeListening: 'أنا أستمع إليك...',
+                sayWakePhrase: 'قل "{phrase}" للتحدث معي',
+                triggerWelcomeFirst: 'يرجى تشغيل رسالة الترحيب أولاً',
+                speechInputNotSupported: 'الإدخال الصوتي غير مدعوم في هذا المتصفح',
+                requiresHttps: 'التعرف على الكلام يتطلب HTTPS',
+                grantAccess: 'اضغط على الميكروفون للسماح بالوصول',
+                messageTriggerWelcome: 'يرجى تشغيل رسالة الترحيب أولاً لبدء المحادثة.',
+                messageContinuousDisabled: 'تم إيقاف الاستماع المتواصل. اضغط على الميكروفون كلما أردت التحدث.',
+                messageContinuousEnabled: 'تم تفعيل الاستماع المتواصل. سأبقى أستمع لأسئلتك.',
+                messageBrowserUnsupported: 'متصفحك لا يدعم التعرف على الكلام. جرّب Chrome أو Edge أو Firefox.',
+                messageNeedMicrophone: 'أحتاج إلى الوصول إلى الميكروفون لأسمعك. يرجى السماح بذلك.',
+                messagePleaseWait: 'يرجى الانتظار، أنا أعالج طلبك السابق.',
+                messagePleaseRepeat: 'عذرا، لم أفهم جيدا. هل يمكنك الإعادة؟',
+                errorGeneric: 'خطأ في التعرف على الكلام. حاول مرة أخرى.',
+                errorNetwork: 'خطأ في الشبكة. يرجى التحقق من اتصالك بالإنترنت.',
+                errorNotAllowed: 'تم رفض الوصول إلى الميكروفون. يرجى السماح بذلك.',
+                errorAborted: 'تم إيقاف التعرف على الكلام.',
+                errorAudioCapture: 'لم يتم العثور على ميكروفون.',
+                errorNoSpeech: 'لم يتم رصد أي كلام. حاول مرة أخرى.',
+                errorNoSpeechReset: 'تمت إعادة تشغيل التعرف على الكلام بسبب الصمت.',
+                errorNoSpeechExpected: 'في انتظار السؤال التالي...',
+                errorNoSpeechAfterResponse: 'جاهز لسؤالك التالي',
+                errorNotSupported: 'التعرف على الكلام غير مدعوم في هذا المتصفح.',
+                errorStart: 'خطأ في بدء التعرف على الكلام.',
+                errorNoMatch: 'عذراً، لم أفهم ما قلته.',
+                errorConnectivity: 'تم رصد مشاكل في الاتصال بالشبكة.',
+                welcomeButton: 'بدء الترحيب',
+                resetButton: 'إعادة تعيين',
+                defaultMicrophone: 'الميكروفون الافتراضي',
+                microphoneLabel: 'ميكروفون {number}',
+                microphoneDisconnected: 'ميكروفون غير متصل',
+                microphoneMissing: 'الميكروفون المختار غير متصل، يتم استخدام الميكروفون الافتراضي'
+            }
+        };
+
+        // Common words used to guess the language of a transcript
+        this.detectionWords = {
+            en: ['the', 'what', 'is', 'are', 'you', 'your', 'hello', 'hi', 'thanks', 'thank', 'how', 'where', 'who', 'can', 'about', 'tell', 'me', 'do', 'and'],
+            fr: ['bonjour', 'salut', 'merci', 'je', 'vous', 'est', 'c\'est', 'quoi', 'qui', 'où', 'comment', 'le', 'la', 'les', 'des', 'une', 'et', 'pour', 'avec', 'pas', 'oui', 'quel', 'quelle', 'votre']
+        };
+    }
+
+    getLanguage(code = this.currentLanguage) {
+        return this.languages[code] || this.languages[this.defaultLanguage];
+    }
+
+    getSupportedLanguages() {
+        return Object.keys(this.languages).map(code => ({
+            code,
+            name: this.languages[code].name,
+            label: this.languages[code].label
+        }));
+    }
+
+    isSupported(code) {
+        return Object.prototype.hasOwnProperty.call(this.languages, code);
+    }
+
+    /**
+     * Switch the kiosk language
+     * Updates speech recognition, voice selection and notifies listeners
+     * @param {string} code - 'en', 'fr' or 'ar'
+     * @returns {boolean} True if the language changed
+     */
+    setLanguage(code) {
+        if (!this.isSupported(code)) {
+            console.warn(`Language "${code}" is not supported`);
+            return false;
+        }
+
+        const changed = code !== this.currentLanguage;
+        this.currentLanguage = code;
+        const language = this.getLanguage();
+
+        if (this.debugMode) console.log(`Language set to ${language.name}`);
+
+        // Recognition locale takes effect on the next recognition start
+        if (window.stt) {
+            window.stt.setLanguage(language.speechLang, language.endingPhrases);
+        }
+
+        // Pick a voice that speaks this language
+        if (window.tts) {
+            window.tts.setPreferences({ preferredLanguage: language.voiceLang });
+        }
+
+        document.documentElement.lang = code;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(code, language);
+            } catch (error) {
+                console.error('Error in language change listener:', error);
+            }
+        });
+
+        return changed;
+    }
+
+    resetLanguage() {
+        return this.setLanguage(this.defaultLanguage);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Look up a UI string in the current language, falling back to English
+     * @param {string} key - String id
+     * @param {Object} [params] - Values for {placeholders}
+     */
+    t(key, params = {}) {
+        const table = this.strings[this.currentLanguage] || {};
+        const template = table[key] !== undefined ? table[key] : (this.strings.en[key] || key);
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match);
+    }
+
+    // Instruction appended to the AI context so replies come back in the current language
+    getAiInstruction() {
+        return this.getLanguage().aiInstruction;
+    }
+
+    /**
+     * Guess the language of a transcript
+     * @returns {string|null} Language code, or null if unsure
+     */
+    detectLanguage(text) {
+        if (!text) return null;
+
+        // Any Arabic script means Arabic
+        if (/[؀-ۿ]/.test(text)) return 'ar';
+
+        const words = text.toLowerCase().split(/[^a-zàâçéèêëîïôûùüÿœæ']+/).filter(Boolean);
+        const scores = {};
+        Object.keys(this.detectionWords).forEach(code => {
+            scores[code] = words.filter(word => this.detectionWords[code].includes(word)).length;
+        });
+
+        // Short utterances ("bonjour", "merci") count with a single match
+        const minMatches = words.length <= 2 ? 1 : 2;
+
+        if (scores.fr > scores.en && scores.fr >= minMatches) return 'fr';
+        if (scores.en > scores.fr && scores.en >= minMatches) return 'en';
+        return null;
+    }
+}
+
+// Export as global variable
+window.language = new LanguageManager();
\ No newline at end of file
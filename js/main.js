@@ -8,6 +8,22 @@ document.addEventListener('DOMContentLoaded', async () => {
         continuousListening: true,     // Keep mic open continuously when possible
         listeningDelay: 500,           // Delay in ms before auto-listening starts
         silenceThreshold: 3000,        // Time in ms to wait for speech to complete (longer = less cutting off)
+        recognitionBackend: 'auto',    // 'browser' (Web Speech API), 'server' (/api/stt engine) or 'auto'
+        speechBackend: 'auto',         // 'browser' (speechSynthesis), 'server' (/api/tts engine) or 'auto'
+        streamResponses: true,         // Speak AI replies sentence-by-sentence as they stream in
+        autoDetectLanguage: true,      // Switch language when a visitor speaks another supported language
+        sessionIdleTimeout: 60000,     // End the visitor session after this much inactivity (ms)
+        bargeIn: true,                 // Keep listening while the AI talks so visitors can interrupt
+        wakeWordMode: false,           // Only answer speech that starts with a wake phrase
+        wakePhrases: ['hey atlas', 'hi atlas', 'ok atlas', 'salut atlas', 'يا أطلس'],
+        wakeWindow: 10000,             // Time in ms follow-up speech is accepted without the wake phrase
+        liveCaptions: true,            // Show what the visitor is saying while they are still speaking
+        maxAlternatives: 3,            // Recognition alternatives to choose from using the known vocabulary
+        minConfidence: 0.5,            // Ask the visitor to repeat below this recognition confidence (0-1)
+        highlightWords: true,          // Highlight each word in the speech bubble as it is spoken
+        lipSync: true,                 // Move the avatar's mouth with the words being spoken
+        avatarPack: 'robot',           // Avatar pack in public/avatars/ ('robot-offline' needs no internet), the ?avatar= URL parameter overrides it
+        avatarAnimations: {},          // Lottie JSON URL per avatar state (idle, listening, thinking, talking, error, sleeping)
         debugLogging: true             // Enable additional debug logs
     };
 
@@ -19,12 +35,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     const avatar = document.getElementById('avatar');
     const aiSpeechBubble = document.getElementById('ai-speech-bubble');
     const userSpeechText = document.getElementById('user-speech-text');
+    const languageSwitcher = document.getElementById('language-switcher');
+    const micSelect = document.getElementById('micSelect');
 
     // State
-    let conversationActive = false;
     let isProcessingResponse = false;
+    let pendingSessionEnd = null;      // Reason to end the session once the AI finishes speaking
+    let responseId = 0;                // Increments per visitor utterance, so interrupted replies can be dropped
     let micPermissionGranted = false;
     let speechRecognitionFailures = 0;
+    let userMessageTimer = null;
+    let spokenWord = null;             // Range of the bubble text currently being spoken
 
     // Initialize
     await init();
@@ -38,12 +59,50 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Check if the page is loaded over HTTPS
         checkSecureContext();
 
+        // Speak with the server's voices where configured, so every kiosk machine sounds the same
+        if (config.speechBackend !== window.tts.backend) {
+            window.tts.setBackend(config.speechBackend);
+        }
+
         // Configure speech recognition
         if (window.stt) {
+            // Use the server's recognition engine where the browser has none (or when configured to)
+            if (config.recognitionBackend !== window.stt.backend) {
+                window.stt.setBackend(config.recognitionBackend);
+            }
+
             // Set silence threshold to prevent premature cutting off
             window.stt.setSilenceThreshold(config.silenceThreshold);
+
+            // Ignore background chatter unless it is addressed to the kiosk
+            window.stt.setWakeWordMode(config.wakeWordMode, config.wakePhrases, config.wakeWindow);
+            window.stt.setWakeCallbacks(onWake, onWakeExpired);
+
+            // Caption the visitor's speech as it is recognized
+            window.stt.setInterimResults(config.liveCaptions);
+            window.stt.setInterimCallback(onInterimSpeech);
+
+            window.stt.setMaxAlternatives(config.maxAlternatives);
+        }
+
+        // Set up the language picker and apply the default language
+        initializeLanguage();
+
+        // Load the offline FAQ now, while the network is available
+        if (window.faq) {
+            window.faq.load();
+        }
+
+        // Load the domain lexicon and hint it to the recognizer
+        if (window.vocabulary) {
+            window.vocabulary.load().then(loaded => {
+                if (loaded && window.stt) window.stt.setDomainTerms(window.vocabulary.terms);
+            });
         }
 
+        // Let staff pick the booth microphone
+        initializeMicrophoneSelect();
+
         // Try several approaches to check microphone permissions
         tryCheckMicrophonePermission();
 
@@ -52,11 +111,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         resetBtn.addEventListener('click', resetConversation);
         micBtn.addEventListener('click', handleMicrophoneClick);
 
+        // Set up the visitor session lifecycle
+        window.session.setIdleTimeout(config.sessionIdleTimeout);
+        window.session.setBusyCheck(() => isProcessingResponse || window.tts.isSpeaking);
+        window.session.setCallbacks(onSessionStart, onSessionEnd);
+
         // Set up callback functions for TTS
         window.tts.setCallbacks(
             onSpeechStart,
             onSpeechEnd
         );
+        if (config.highlightWords) {
+            window.tts.setWordCallback(onSpokenWord);
+        }
 
         // Set up callback functions for STT
         window.stt.setCallbacks(
@@ -73,7 +140,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
                 // Auto-hide after 5 seconds
                 setTimeout(() => {
-                    if (!conversationActive) {
+                    if (!window.session.isActive()) {
                         hideAIMessage();
                     }
                 }, 5000);
@@ -86,11 +153,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     async function initializeAvatar() {
         if (window.avatar) {
             try {
+                const pack = new URLSearchParams(window.location.search).get('avatar') || config.avatarPack;
+                await window.avatar.loadPack(pack);
+
+                window.avatar.setLipSync({ enabled: config.lipSync });
+                window.avatar.setAnimations(config.avatarAnimations);
                 const success = await window.avatar.init('lottie-avatar');
                 if (!success) {
+                    // The avatar shows the pack's static image instead
                     console.error('Failed to initialize avatar animation, falling back to static avatar');
-                    const avatarContainer = document.getElementById('lottie-avatar');
-                    avatarContainer.innerHTML = '<img src="public/robot-avatar.gif" alt="AI Avatar" id="avatar-img">';
                 }
             } catch (error) {
                 console.error('Error initializing avatar:', error);
@@ -100,6 +171,54 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    function initializeLanguage() {
+        window.language.getSupportedLanguages().forEach(({ code, name, label }) => {
+            const button = document.createElement('button');
+            button.className = 'language-btn';
+            button.dataset.lang = code;
+            button.textContent = label;
+            button.title = name;
+            button.addEventListener('click', () => window.language.setLanguage(code));
+            languageSwitcher.appendChild(button);
+        });
+
+        window.language.onChange(applyLanguageToUI);
+        window.language.setLanguage(window.language.defaultLanguage);
+    }
+
+    // Refresh static UI text and text direction for the current language
+    function applyLanguageToUI(code, language) {
+        languageSwitcher.querySelectorAll('.language-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.lang === code);
+        });
+
+        welcomeBtn.textContent = t('welcomeButton');
+        resetBtn.textContent = t('resetButton');
+        renderMicrophoneOptions();
+        aiSpeechBubble.dir = language.dir;
+        userSpeechText.dir = language.dir;
+
+        if (!window.session.isActive()) {
+            updateSpeechStatus(t('clickToSpeak'));
+        }
+    }
+
+    // Switch language if the visitor is clearly speaking another supported language
+    function detectVisitorLanguage(transcript) {
+        if (!config.autoDetectLanguage) return;
+
+        const detected = window.language.detectLanguage(transcript);
+        if (detected && detected !== window.language.currentLanguage) {
+            console.log(`Detected visitor language: ${detected}`);
+            window.language.setLanguage(detected);
+        }
+    }
+
+    // Look up a UI string in the current language
+    function t(key, params) {
+        return window.language.t(key, params);
+    }
+
     function checkSecureContext() {
         if (window.location.protocol !== 'https:' && window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1') {
             console.warn('Page not loaded over HTTPS. Speech recognition may not work.');
@@ -161,7 +280,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     function handleNoMicrophoneApi() {
         console.error('No getUserMedia API available');
         micPermissionGranted = false;
-        updateSpeechStatus('Speech input not supported in this browser', '#f72585');
+        updateSpeechStatus(t('speechInputNotSupported'), '#f72585');
         document.querySelector('.control-area').classList.add('permission-needed');
     }
 
@@ -170,20 +289,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (!navigator.mediaDevices) {
             console.error('MediaDevices API not available - page may need to be served over HTTPS');
             micPermissionGranted = false;
-            updateSpeechStatus('Speech recognition requires HTTPS', '#f72585');
+            updateSpeechStatus(t('requiresHttps'), '#f72585');
             document.querySelector('.control-area').classList.add('permission-needed');
             return false;
         }
 
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const stream = await window.microphone.getStream();
             // Stop the stream immediately, we just needed to check permission
             stream.getTracks().forEach(track => track.stop());
-            micPermissionGranted = true;
             console.log('Microphone permission granted');
 
-            // Remove permission needed indicator if it exists
-            document.querySelector('.control-area').classList.remove('permission-needed');
+            await onMicrophonePermissionGranted();
             return true;
         } catch (err) {
             handleMicrophonePermissionError(err, 'modern API');
@@ -191,10 +308,107 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // Everything that waits for microphone access, whichever way it was granted
+    async function onMicrophonePermissionGranted() {
+        micPermissionGranted = true;
+
+        // Remove permission needed indicator if it exists
+        document.querySelector('.control-area').classList.remove('permission-needed');
+
+        // Device names are only available once permission is granted
+        await window.microphone.refreshDevices();
+
+        startVoiceActivity();
+    }
+
+    function initializeMicrophoneSelect() {
+        if (!window.microphone || !window.microphone.isSupported) {
+            micSelect.style.display = 'none';
+            return;
+        }
+
+        window.microphone.setCallbacks(renderMicrophoneOptions, onMicrophoneLost, onMicrophoneRestored);
+
+        micSelect.addEventListener('change', () => {
+            window.microphone.selectDevice(micSelect.value);
+            renderMicrophoneOptions();
+            restartVoiceActivity();
+        });
+
+        renderMicrophoneOptions();
+    }
+
+    function renderMicrophoneOptions() {
+        if (!window.microphone) return;
+
+        const { devices, selectedDeviceId, deviceMissing } = window.microphone;
+        const options = [{ value: '', label: t('defaultMicrophone') }];
+
+        devices.filter(device => device.deviceId && device.deviceId !== 'default').forEach((device, index) => {
+            options.push({ value: device.deviceId, label: device.label || t('microphoneLabel', { number: index + 1 }) });
+        });
+
+        // Keep showing the chosen device while it is unplugged, so staff can see what is missing
+        if (selectedDeviceId && !options.some(option => option.value === selectedDeviceId)) {
+            options.push({ value: selectedDeviceId, label: t('microphoneDisconnected') });
+        }
+
+        micSelect.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            micSelect.appendChild(option);
+        });
+
+        micSelect.value = selectedDeviceId;
+        micSelect.classList.toggle('missing', deviceMissing);
+    }
+
+    function onMicrophoneLost() {
+        console.warn('Selected microphone disconnected, falling back to the default input');
+        updateSpeechStatus(t('microphoneMissing'), '#f72585');
+        renderMicrophoneOptions();
+        restartVoiceActivity();
+    }
+
+    function onMicrophoneRestored() {
+        console.log('Selected microphone reconnected');
+        updateSpeechStatus(t('clickToSpeak'));
+        renderMicrophoneOptions();
+        restartVoiceActivity();
+    }
+
+    // Reopen the level meter on the newly chosen device (this also recalibrates the noise floor)
+    function restartVoiceActivity() {
+        if (!window.vad || !window.vad.isActive()) return;
+
+        window.vad.stop();
+        micBtn.style.setProperty('--mic-level', 0);
+        startVoiceActivity();
+    }
+
+    // Monitor the mic level for the meter, and calibrate to the hall's background noise
+    async function startVoiceActivity() {
+        if (!window.vad || !window.vad.isSupported) return;
+
+        window.vad.setCallbacks(
+            (level, voiceActive) => {
+                micBtn.style.setProperty('--mic-level', level.toFixed(2));
+                micBtn.classList.toggle('voice-active', voiceActive);
+            },
+            (noiseFloor, noisy) => {
+                console.log(`Ambient noise floor: ${noiseFloor.toFixed(1)} dBFS${noisy ? ', noisy environment' : ''}`);
+            }
+        );
+
+        await window.vad.start();
+    }
+
     function handleMicrophonePermissionError(err, api = 'API') {
         console.error(`Microphone permission error (${api}):`, err);
         micPermissionGranted = false;
-        updateSpeechStatus('Click microphone to grant access', '#f72585');
+        updateSpeechStatus(t('grantAccess'), '#f72585');
         document.querySelector('.control-area').classList.add('permission-needed');
     }
 
@@ -206,9 +420,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     function handleMicrophoneClick() {
         console.log('Microphone button clicked');
 
-        if (!conversationActive) {
-            updateSpeechStatus("Please trigger welcome message first", '#f72585');
-            addMessage("Please trigger the welcome message first to start the conversation.", 'ai');
+        if (!window.session.isActive()) {
+            updateSpeechStatus(t('triggerWelcomeFirst'), '#f72585');
+            addMessage(t('messageTriggerWelcome'), 'ai');
             return;
         }
 
@@ -229,12 +443,12 @@ document.addEventListener('DOMContentLoaded', async () => {
                     window.stt.stop();
                 }
 
-                updateSpeechStatus('Continuous listening disabled', '#f72585');
+                updateSpeechStatus(t('continuousDisabled'), '#f72585');
                 setTimeout(() => {
-                    updateSpeechStatus('Click microphone to speak');
+                    updateSpeechStatus(t('clickToSpeak'));
                 }, 2000);
 
-                addMessage("Continuous listening mode disabled. Click the microphone each time you want to speak.", 'ai');
+                addMessage(t('messageContinuousDisabled'), 'ai');
             } else {
                 // Turn on continuous mode
                 window.stt.setContinuous(true);
@@ -244,8 +458,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                     startSpeechRecognition();
                 }
 
-                updateSpeechStatus('Listening continuously...', '#4cc9f0');
-                addMessage("Continuous listening mode enabled. I'll keep listening for your questions.", 'ai');
+                updateSpeechStatus(t('listeningContinuously'), '#4cc9f0');
+                addMessage(t('messageContinuousEnabled'), 'ai');
             }
         } else {
             // Regular toggle behavior
@@ -256,7 +470,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     function tryGetMicrophoneAccess() {
         // Modern method (Promise-based)
         if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-            navigator.mediaDevices.getUserMedia({ audio: true })
+            // Ask for the operator's chosen input device, like the permission check does
+            window.microphone.getStream()
                 .then(handleMicrophoneSuccess)
                 .catch(handleMicrophoneError);
         }
@@ -276,21 +491,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         // No API available
         else {
             console.error('No getUserMedia API available');
-            addMessage("Your browser doesn't support speech recognition. Please try Chrome, Edge or Firefox.", 'ai');
+            addMessage(t('messageBrowserUnsupported'), 'ai');
         }
     }
 
-    function handleMicrophoneSuccess(stream) {
+    async function handleMicrophoneSuccess(stream) {
         // Stop the stream immediately, we just needed permission
         stream.getTracks().forEach(track => track.stop());
-        micPermissionGranted = true;
-        document.querySelector('.control-area').classList.remove('permission-needed');
+        await onMicrophonePermissionGranted();
         toggleListening();
     }
 
     function handleMicrophoneError(err) {
         console.error('Error getting microphone permission:', err);
-        addMessage("I need microphone access to hear you. Please allow microphone access when prompted.", 'ai');
+        addMessage(t('messageNeedMicrophone'), 'ai');
     }
 
     function triggerWelcome() {
@@ -300,16 +514,19 @@ document.addEventListener('DOMContentLoaded', async () => {
             window.tts.stop();
         }
 
-        conversationActive = true;
+        // A welcome starts a new visitor session with an empty conversation history
+        window.session.start();
+        window.conversation.resetHistory();
 
         const welcomeMessage = window.conversation.getWelcomeMessage();
         showAIMessage(welcomeMessage);
+        if (window.avatar) window.avatar.setExpression('wave');
 
         // Start speaking
         window.tts.speak(welcomeMessage);
 
         // Prompt user to use microphone after welcome
-        updateSpeechStatus('Listening...');
+        updateSpeechStatus(t('listening'));
 
         // Enable continuous mode if configured
         if (config.continuousListening && window.stt) {
@@ -320,7 +537,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 if (!window.stt.isListening) {
                     console.log('Starting continuous listening after welcome');
                     startSpeechRecognition();
-                    updateSpeechStatus('Listening continuously...', '#4cc9f0');
+                    updateSpeechStatus(t('listeningContinuously'), '#4cc9f0');
                 }
             }, 1000);
         }
@@ -329,10 +546,46 @@ document.addEventListener('DOMContentLoaded', async () => {
     function resetConversation() {
         console.log('Reset button clicked');
 
-        // Stop any ongoing processes
-        if (window.tts.isSpeaking) {
-            window.tts.stop();
+        // Ending the session returns the kiosk to idle (see onSessionEnd)
+        if (!window.session.end('reset')) {
+            returnToIdle();
         }
+    }
+
+    function onSessionStart(session) {
+        console.log('Visitor session started:', session.id);
+        pendingSessionEnd = null;
+
+        // Wake the avatar for the new visitor
+        if (window.avatar) window.avatar.setState('idle');
+    }
+
+    function onSessionEnd(session) {
+        console.log(`Visitor session ended: ${session.id} (${session.endReason})`);
+        pendingSessionEnd = null;
+
+        // A reply still on its way belongs to the visitor who left, also when a new welcome replaces the session
+        cancelPendingReply();
+
+        // A replaced session is followed straight away by a new welcome
+        if (session.endReason !== 'replaced') {
+            returnToIdle();
+        }
+    }
+
+    // Drop the reply being generated or spoken, so it is neither shown, spoken nor recorded
+    function cancelPendingReply() {
+        responseId++;
+        window.conversation.cancel();
+        // Also closes a reply stream that hasn't started speaking yet
+        window.tts.stop();
+        isProcessingResponse = false;
+    }
+
+    // Stop speech and listening and put the kiosk back in its waiting state
+    function returnToIdle() {
+        // Stop any ongoing processes
+        cancelPendingReply();
 
         if (window.stt.isListening) {
             window.stt.stop();
@@ -347,26 +600,36 @@ document.addEventListener('DOMContentLoaded', async () => {
         hideAIMessage();
         hideUserMessage();
 
-        // Reset state
-        conversationActive = false;
-        isProcessingResponse = false;
+        // Forget the previous visitor's conversation
+        if (window.conversation) {
+            window.conversation.resetHistory();
+        }
+
+        // Next visitor starts in the default language
+        window.language.resetLanguage();
+
+        // Next visitor has to use the wake phrase again
+        window.stt.sleep();
 
         // Reset visual indicators
         avatar.classList.remove('speaking');
         micBtn.classList.remove('listening');
-        updateSpeechStatus('Click microphone to speak');
+        updateSpeechStatus(t('clickToSpeak'));
+
+        // Nobody to talk to until the next visitor
+        if (window.avatar) window.avatar.setState('sleeping');
     }
 
     function toggleListening() {
         console.log('Toggle listening called, current state:', window.stt.isListening);
 
-        if (!conversationActive) {
-            addMessage("Please trigger the welcome message first to start the conversation.", 'ai');
+        if (!window.session.isActive()) {
+            addMessage(t('messageTriggerWelcome'), 'ai');
             return;
         }
 
         if (isProcessingResponse) {
-            addMessage("Please wait while I'm processing your previous request.", 'ai');
+            addMessage(t('messagePleaseWait'), 'ai');
             return;
         }
 
@@ -382,7 +645,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // Add a message to indicate the user should speak
-        updateSpeechStatus('Starting...');
+        updateSpeechStatus(t('starting'));
 
         startSpeechRecognition();
     }
@@ -438,11 +701,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         } else {
             console.warn('Avatar controller not available for animation');
         }
+
+        // With barge-in, keep the mic open while the AI talks so the visitor can interrupt
+        if (config.bargeIn && window.session.isActive() && !window.stt.isListening) {
+            console.log('Listening during AI speech for barge-in');
+            startSpeechRecognition();
+        }
     }
 
     function onSpeechEnd() {
         console.log('AI speech ended');
         avatar.classList.remove('speaking');
+        clearSpokenWord();
 
         // Keep speech bubble visible for a short time after AI stops speaking
         setTimeout(() => {
@@ -451,11 +721,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }, 1000);
 
-        // Stop avatar talking animation
+        // Back to idle, also when the reply turned out to have nothing to say while thinking
         if (window.avatar) {
             console.log('Stopping avatar talking animation');
             try {
-                window.avatar.stopTalking();
+                window.avatar.endState('talking', 'thinking');
             } catch (error) {
                 console.error('Error stopping avatar talking animation:', error);
             }
@@ -463,6 +733,18 @@ document.addEventListener('DOMContentLoaded', async () => {
             console.warn('Avatar controller not available for animation');
         }
 
+        // The visitor said goodbye and has had their answer, end the session now
+        if (pendingSessionEnd) {
+            window.session.end(pendingSessionEnd);
+            return;
+        }
+
+        // Count the AI's reply as activity so the idle timeout starts from here
+        window.session.touch();
+
+        // Follow-up questions don't need the wake phrase again
+        window.stt.keepAwake();
+
         // Set flag to indicate AI just responded to avoid no-speech errors right after
         if (window.stt) {
             console.log('Setting AI just responded flag to reduce false no-speech errors');
@@ -472,22 +754,22 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Automatically start listening again after a short delay if enabled in config
         if (config.autoListening) {
             setTimeout(() => {
-                if (conversationActive && !window.stt.isListening && !isProcessingResponse) {
+                if (window.session.isActive() && !window.stt.isListening && !isProcessingResponse) {
                     console.log('Auto-starting listening after AI response');
-                    updateSpeechStatus('Listening...', '#4cc9f0');
+                    updateSpeechStatus(t('listening'), '#4cc9f0');
                     startSpeechRecognition();
                 }
             }, config.listeningDelay);
         } else {
             // If auto-listening is disabled, update status to prompt manual click
-            updateSpeechStatus('Click microphone to speak');
+            updateSpeechStatus(t('clickToSpeak'));
         }
     }
 
     function onListeningStart() {
         console.log('Listening started');
         micBtn.classList.add('listening');
-        updateSpeechStatus('Listening...', '#4cc9f0');
+        updateSpeechStatus(t('listening'), '#4cc9f0');
 
         // Make sure permission-needed class is removed when listening starts
         const controlArea = document.querySelector('.control-area');
@@ -495,10 +777,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             controlArea.classList.remove('permission-needed');
         }
 
-        // Start avatar animation to show we're listening
-        if (window.avatar) {
+        // Show we're listening, unless the AI is busy with a reply (barge-in keeps the mic open meanwhile)
+        if (window.avatar && !window.tts.isSpeaking && !isProcessingResponse) {
             console.log('Starting user listening animation');
-            window.avatar.startTalking();
+            window.avatar.setState('listening');
         }
 
         // Add event handlers for speech detection visual feedback
@@ -509,7 +791,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 if (originalSpeechStart) originalSpeechStart.call(window.stt.recognition, event);
 
                 // Update UI to show active speech
-                updateSpeechStatus('Listening: Speech detected!', '#00ff00');
+                updateSpeechStatus(t('speechDetected'), '#00ff00');
                 micBtn.classList.add('active-speech');
             };
 
@@ -519,7 +801,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 if (originalSpeechEnd) originalSpeechEnd.call(window.stt.recognition, event);
 
                 // Update UI to show waiting state
-                updateSpeechStatus('Listening: Waiting for more...', '#4cc9f0');
+                updateSpeechStatus(t('waitingForMore'), '#4cc9f0');
                 micBtn.classList.remove('active-speech');
 
                 // Show countdown of silence threshold
@@ -532,7 +814,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
                     if (remaining > 0 && !window.stt.isSpeaking) {
                         const seconds = (remaining / 1000).toFixed(1);
-                        updateSpeechStatus(`Listening: Waiting ${seconds}s for more...`, '#4cc9f0');
+                        updateSpeechStatus(t('waitingSeconds', { seconds }), '#4cc9f0');
                         requestAnimationFrame(updateCountdown);
                     }
                 };
@@ -542,78 +824,246 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    async function onSpeechResult(transcript) {
+    async function onSpeechResult(transcript, confidence, alternatives = []) {
         console.log('Speech result received:', transcript);
 
+        // Speech that arrives after the session ended (e.g. a late recognition restart) is ignored
+        if (!window.session.isActive()) {
+            console.log('No active visitor session, ignoring speech result');
+            return;
+        }
+
+        // The mic may pick up the kiosk's own voice while (or right after) it talks
+        if (window.tts.isEcho(transcript)) {
+            console.log('Ignoring recognized echo of the AI speech:', transcript);
+            if (userSpeechText.classList.contains('interim')) hideUserMessage();
+            return;
+        }
+
+        // Low-confidence results on a noisy floor are usually garbage, so ask again rather than answer
+        // (browsers without a confidence score report 0, which isn't treated as low)
+        if (confidence > 0 && confidence < config.minConfidence) {
+            console.log(`Low recognition confidence (${confidence.toFixed(2)}) for "${transcript}"`);
+            if (userSpeechText.classList.contains('interim')) hideUserMessage();
+
+            // Speech we couldn't make out shouldn't interrupt the AI
+            if (!window.tts.isSpeaking && !isProcessingResponse) {
+                askToRepeat();
+            }
+            return;
+        }
+
+        // Prefer an alternative that mentions things the kiosk knows about
+        if (alternatives.length > 1) {
+            transcript = window.conversation.chooseAlternative(alternatives);
+        }
+
+        // Restore names and acronyms the recognizer tends to mishear
+        if (window.vocabulary) {
+            transcript = window.vocabulary.correct(transcript);
+        }
+
+        // Barge-in: the visitor spoke over the AI, so stop talking and drop the pending reply
+        if (config.bargeIn && (window.tts.isSpeaking || isProcessingResponse)) {
+            interruptResponse();
+        }
+
+        const currentResponseId = ++responseId;
+        const isCurrentResponse = () => currentResponseId === responseId;
+
         // Show user message
         showUserMessage(transcript);
 
+        // Answer in the language the visitor is using
+        detectVisitorLanguage(transcript);
+
+        // A goodbye still gets a reply, then the session ends once it has been spoken
+        pendingSessionEnd = null;
+        if (window.stt.isConversationEndingPhrase(transcript)) {
+            console.log('Goodbye phrase detected, ending the session after the reply');
+            pendingSessionEnd = 'goodbye';
+        }
+
         // Show processing indicator for AI
         showAIMessage("...");
         isProcessingResponse = true;
+        if (window.avatar) window.avatar.setState('thinking');
+
+        // Latency of this turn, measured from the final transcript
+        const startedAt = performance.now();
+        const elapsed = () => Math.round(performance.now() - startedAt);
 
         try {
+            if (config.streamResponses) {
+                let firstChunkMs = null;
+                const response = await speakStreamedResponse(transcript, isCurrentResponse, () => {
+                    firstChunkMs = elapsed();
+                });
+                if (response !== null) {
+                    recordTurn(transcript, confidence, response, { firstChunkMs, responseMs: elapsed() });
+                }
+                return;
+            }
+
             // Get response from conversation handler
-            const response = await window.conversation.getResponse(transcript);
+            const response = await window.conversation.getResponse(transcript, {
+                onEmotion: (emotion) => showReplyEmotion(emotion, isCurrentResponse)
+            });
+
+            // The visitor interrupted while we were waiting, a newer reply takes over
+            if (response === null || !isCurrentResponse()) return;
+
+            recordTurn(transcript, confidence, response, { responseMs: elapsed() });
 
             // Show AI response
             showAIMessage(response);
 
-            console.log('About to speak response and trigger animation...');
-            // Speak the response
+            // Speak the response; the TTS start and end events drive the avatar, and its watchdog
+            // makes sure the end event comes even if the browser drops it
+            console.log('About to speak response...');
             window.tts.speak(response);
-
-            // Manually trigger the animation in case the speech event isn't firing properly
-            if (window.avatar) {
-                console.log('Directly triggering avatar talking animation from onSpeechResult');
-                window.avatar.startTalking();
-
-                // Set a timeout to stop the animation after response is likely finished
-                const wordCount = response.split(' ').length;
-                const speakingTime = Math.max(3000, wordCount * 200); // rough estimate of speaking time
-
-                console.log(`Scheduling animation to stop after ${speakingTime}ms`);
-                setTimeout(() => {
-                    console.log('Auto-stopping animation after timeout');
-                    window.avatar.stopTalking();
-                }, speakingTime);
-            }
         } catch (error) {
             console.error('Error handling speech result:', error);
 
+            // The reply was dropped (new utterance or the session ended), nothing to recover
+            if (!isCurrentResponse()) return;
+
             // Don't show error messages to the user
             // Instead, silently continue or retry
             console.log('Speech processing error, attempting to recover silently');
 
             // Hide the AI bubble on error
             hideAIMessage();
+            if (window.avatar) window.avatar.setState('error');
 
             // Auto-restart listening even in case of error if enabled in config
             if (config.autoListening) {
                 setTimeout(() => {
-                    if (conversationActive && !window.stt.isListening && !isProcessingResponse) {
+                    if (window.session.isActive() && !window.stt.isListening && !isProcessingResponse) {
                         console.log('Auto-starting listening after error');
-                        updateSpeechStatus('Listening...', '#4cc9f0');
+                        updateSpeechStatus(t('listening'), '#4cc9f0');
                         startSpeechRecognition();
                     }
                 }, config.listeningDelay + 500); // Add a bit more delay after errors
             } else {
-                updateSpeechStatus('Click microphone to speak');
+                updateSpeechStatus(t('clickToSpeak'));
             }
         } finally {
-            isProcessingResponse = false;
+            if (isCurrentResponse()) {
+                isProcessingResponse = false;
+            }
+        }
+    }
+
+    // Stop the AI mid-reply because the visitor started talking
+    function interruptResponse() {
+        console.log('Visitor interrupted the AI, stopping the current reply');
+        window.tts.stop();
+        window.conversation.cancel();
+        avatar.classList.remove('speaking');
+    }
+
+    // Add the exchange to the visitor session log
+    function recordTurn(transcript, confidence, response, latency) {
+        const lastResponse = window.conversation.lastResponse;
+
+        window.session.recordTurn({
+            user: transcript,
+            confidence,
+            ai: response,
+            sources: lastResponse && lastResponse.text === response ? lastResponse.sources : [],
+            latency
+        });
+    }
+
+    // Stream the AI reply: fill the speech bubble live and start speaking at the first full sentence
+    // Returns null if the reply was interrupted
+    async function speakStreamedResponse(transcript, isCurrentResponse, onFirstChunk) {
+        let streamedText = '';
+        let streamFailed = false;
+
+        window.tts.startStream();
+
+        const response = await window.conversation.getResponse(transcript, {
+            onEmotion: (emotion) => showReplyEmotion(emotion, isCurrentResponse),
+            onChunk: (chunk) => {
+                if (!isCurrentResponse()) return;
+                if (!streamedText && onFirstChunk) onFirstChunk();
+                streamedText += chunk;
+                updateAIMessage(streamedText);
+                window.tts.appendToStream(chunk);
+            },
+            onStreamError: (partialText) => {
+                if (!isCurrentResponse()) return;
+                console.warn('AI reply broke off after:', partialText);
+                streamFailed = true;
+            }
+        });
+
+        if (response === null || !isCurrentResponse()) {
+            return null;
+        }
+
+        if (streamedText && !streamFailed) {
+            window.tts.endStream();
+        } else {
+            // Nothing was streamed (e.g. a fallback response), speak the reply in one go
+            // After a broken stream this cuts the half-spoken reply short, so the fallback isn't heard as its ending
+            showAIMessage(response);
+            window.tts.speak(response);
+        }
+
+        return response;
+    }
+
+    // Let the avatar show the emotion the AI tagged its reply with
+    function showReplyEmotion(emotion, isCurrentResponse) {
+        if (isCurrentResponse() && window.avatar) {
+            window.avatar.setExpression(emotion);
+        }
+    }
+
+    function askToRepeat() {
+        const message = t('messagePleaseRepeat');
+        showAIMessage(message);
+        window.tts.speak(message);
+        window.session.touch();
+    }
+
+    // Partial transcript while the visitor is still speaking; the final result replaces it
+    function onInterimSpeech(transcript) {
+        if (!window.session.isActive() || window.tts.isEcho(transcript)) return;
+
+        // Barge-in as soon as the visitor is heard, rather than once they have finished their sentence
+        if (config.bargeIn && window.tts.isSpeaking) {
+            interruptResponse();
+        }
+
+        showUserMessage(transcript, true);
+    }
+
+    function onWake() {
+        console.log('Wake phrase heard, listening to the visitor');
+        avatar.classList.add('awake');
+        updateSpeechStatus(t('wakeListening'), '#4ade80');
+    }
+
+    function onWakeExpired() {
+        avatar.classList.remove('awake');
+        if (window.session.isActive()) {
+            updateSpeechStatus(t('sayWakePhrase', { phrase: config.wakePhrases[0] }), '#4cc9f0');
         }
     }
 
     function onListeningEnd() {
         console.log('Listening ended');
         micBtn.classList.remove('listening');
-        updateSpeechStatus('Click microphone to speak');
+        updateSpeechStatus(t('clickToSpeak'));
 
-        // Stop avatar animation when user stops speaking
+        // Stop the listening animation (the AI may be thinking or talking during barge-in)
         if (window.avatar) {
             console.log('Stopping user listening animation');
-            window.avatar.stopTalking();
+            window.avatar.endState('listening');
         }
     }
 
@@ -624,59 +1074,66 @@ document.addEventListener('DOMContentLoaded', async () => {
         micBtn.classList.remove('listening');
         micBtn.classList.remove('active-speech');
 
-        // Stop avatar animation on error
+        // Show the microphone can't be used; other errors just end listening. The AI's reply takes precedence
         if (window.avatar) {
-            console.log('Stopping animation due to speech recognition error');
-            window.avatar.stopTalking();
+            if (['network', 'not-allowed', 'audio-capture', 'not-supported'].includes(error) &&
+                !window.tts.isSpeaking && !isProcessingResponse) {
+                window.avatar.setState('error');
+            } else {
+                window.avatar.endState('listening');
+            }
         }
 
         // Show a user-friendly error message (only in status bar, not in chat)
-        let errorMessage = 'Error with speech recognition. Try again.';
+        let errorMessage = t('errorGeneric');
 
         switch(error) {
             case 'network':
-                errorMessage = 'Network error. Please check your internet connection.';
+                errorMessage = t('errorNetwork');
                 break;
             case 'not-allowed':
-                errorMessage = 'Microphone access denied. Please allow access.';
+                errorMessage = t('errorNotAllowed');
                 break;
             case 'aborted':
-                errorMessage = 'Speech recognition was aborted.';
+                errorMessage = t('errorAborted');
                 break;
             case 'audio-capture':
-                errorMessage = 'No microphone detected.';
+                errorMessage = t('errorAudioCapture');
                 break;
             case 'no-speech':
-                errorMessage = 'No speech detected. Please try again.';
+                errorMessage = t('errorNoSpeech');
                 break;
             case 'no-speech-reset':
-                errorMessage = 'Speech recognition reset due to silence.';
+                errorMessage = t('errorNoSpeechReset');
                 // Don't increment failure count for resets
                 speechRecognitionFailures--;
                 break;
             case 'no-speech-expected':
                 // This is a normal silence after a conversation ending phrase
-                errorMessage = 'Waiting for next question...';
+                errorMessage = t('errorNoSpeechExpected');
                 // Actually decrease the failure count to make system more forgiving
                 speechRecognitionFailures = Math.max(0, speechRecognitionFailures - 1);
                 break;
+            case 'no-speech-silent':
+                // Nobody spoke, or the hall is too noisy for no-speech errors to mean anything
+                return;
             case 'no-speech-after-response':
                 // This is silence right after AI responded, which is normal
-                errorMessage = 'Ready for your next question';
+                errorMessage = t('errorNoSpeechAfterResponse');
                 // Don't increment failure count for this case
                 return; // Just exit early without updating UI
             case 'not-supported':
-                errorMessage = 'Speech recognition is not supported in this browser.';
+                errorMessage = t('errorNotSupported');
                 break;
             case 'start-error':
-                errorMessage = 'Error starting speech recognition.';
+                errorMessage = t('errorStart');
                 break;
             case 'no-match':
-                errorMessage = 'Sorry, I didn\'t recognize what you said.';
+                errorMessage = t('errorNoMatch');
                 break;
             default:
                 if (error.includes('network') || error.includes('connectivity')) {
-                    errorMessage = 'Network connectivity issues detected.';
+                    errorMessage = t('errorConnectivity');
                 }
         }
 
@@ -710,9 +1167,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             setTimeout(() => {
                 if (config.continuousListening && window.stt && window.stt.continuous) {
-                    updateSpeechStatus('Listening continuously...', '#4cc9f0');
+                    updateSpeechStatus(t('listeningContinuously'), '#4cc9f0');
                 } else {
-                    updateSpeechStatus('Click microphone to speak');
+                    updateSpeechStatus(t('clickToSpeak'));
                 }
             }, timeoutDuration);
         }
@@ -725,6 +1182,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('Showing AI message:', text);
 
         // Ensure the bubble content is set
+        spokenWord = null;
         aiSpeechBubble.textContent = text;
 
         // Force DOM reflow to ensure animation works
@@ -739,6 +1197,43 @@ document.addEventListener('DOMContentLoaded', async () => {
         hideUserMessage();
     }
 
+    // Replace the bubble text without re-running the show animation (used while streaming)
+    function updateAIMessage(text) {
+        aiSpeechBubble.textContent = text;
+        highlightSpokenWord();
+        if (!aiSpeechBubble.classList.contains('visible')) {
+            aiSpeechBubble.classList.add('visible');
+        }
+    }
+
+    // Karaoke-style highlighting of the word the AI is saying
+    function onSpokenWord(word) {
+        spokenWord = word;
+        highlightSpokenWord();
+    }
+
+    function highlightSpokenWord() {
+        const text = aiSpeechBubble.textContent;
+        if (!spokenWord || spokenWord.charIndex < 0 ||
+            spokenWord.charIndex + spokenWord.charLength > text.length) return;
+
+        const mark = document.createElement('mark');
+        mark.className = 'spoken-word';
+        mark.textContent = text.substring(spokenWord.charIndex, spokenWord.charIndex + spokenWord.charLength);
+
+        aiSpeechBubble.replaceChildren(
+            text.substring(0, spokenWord.charIndex),
+            mark,
+            text.substring(spokenWord.charIndex + spokenWord.charLength)
+        );
+    }
+
+    function clearSpokenWord() {
+        if (!spokenWord) return;
+        spokenWord = null;
+        aiSpeechBubble.textContent = aiSpeechBubble.textContent;
+    }
+
     function hideAIMessage() {
         aiSpeechBubble.classList.remove('visible');
         setTimeout(() => {
@@ -746,22 +1241,29 @@ document.addEventListener('DOMContentLoaded', async () => {
         }, 300);
     }
 
-    function showUserMessage(text) {
+    function showUserMessage(text, interim = false) {
         if (!text) return;
 
         userSpeechText.textContent = text;
+        userSpeechText.classList.toggle('interim', interim);
         userSpeechText.classList.add('visible');
 
-        // Auto-hide after a few seconds
-        setTimeout(() => {
+        // Auto-hide a few seconds after the last update
+        clearTimeout(userMessageTimer);
+        userMessageTimer = setTimeout(() => {
             hideUserMessage();
         }, 10000);
     }
 
     function hideUserMessage() {
+        clearTimeout(userMessageTimer);
         userSpeechText.classList.remove('visible');
         setTimeout(() => {
-            userSpeechText.textContent = '';
+            // A new caption may have appeared while fading out
+            if (!userSpeechText.classList.contains('visible')) {
+                userSpeechText.textContent = '';
+                userSpeechText.classList.remove('interim');
+            }
         }, 300);
     }
 
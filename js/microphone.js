@@ -0,0 +1,136 @@
+/**
+ * Microphone input device selection
+ * Remembers the operator's choice of input device and watches for it being unplugged
+ * Note: Web Speech recognition always listens on the system default input, the choice applies to
+ * permission checks and Web Audio processing
+ */
+class MicrophoneSelector {
+    constructor() {
+        this.storageKey = 'kiosk.microphoneDeviceId';
+        this.devices = [];                          // Available audio inputs, from enumerateDevices
+        this.selectedDeviceId = this.loadSelection();
+        this.deviceMissing = false;                 // The chosen device is currently not connected
+        this.debugMode = true;
+
+        // Callback functions for the main app to use
+        this.onDevicesChangedCallback = null;
+        this.onDeviceLostCallback = null;
+        this.onDeviceRestoredCallback = null;
+
+        this.isSupported = !!(navigator.mediaDevices && navigator.mediaDevices.enumerateDevices);
+
+        if (this.isSupported && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshDevices());
+        }
+    }
+
+    loadSelection() {
+        try {
+            return localStorage.getItem(this.storageKey) || '';
+        } catch (error) {
+            // Storage can be unavailable (e.g. private browsing), fall back to the default device
+            return '';
+        }
+    }
+
+    saveSelection(deviceId) {
+        try {
+            if (deviceId) {
+                localStorage.setItem(this.storageKey, deviceId);
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Microphone: Could not save the device choice:', error);
+        }
+    }
+
+    /**
+     * Re-read the list of audio inputs and check the chosen one is still there
+     * Device labels are only filled in once microphone permission has been granted
+     * @returns {Promise<Array<MediaDeviceInfo>>} The audio input devices
+     */
+    async refreshDevices() {
+        if (!this.isSupported) return [];
+
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices.filter(device => device.kind === 'audioinput');
+        } catch (error) {
+            console.error('Microphone: Could not list devices:', error);
+            return this.devices;
+        }
+
+        if (this.debugMode) console.log(`Microphone: Found ${this.devices.length} audio inputs`);
+
+        // Without microphone permission device IDs are hidden, so availability can't be checked yet
+        if (!this.devices.some(device => device.deviceId)) return this.devices;
+
+        const wasMissing = this.deviceMissing;
+        this.deviceMissing = !!this.selectedDeviceId && !this.isAvailable(this.selectedDeviceId);
+
+        if (this.deviceMissing && !wasMissing) {
+            console.warn(`Microphone: Selected device ${this.selectedDeviceId} is no longer available`);
+            if (this.onDeviceLostCallback) this.onDeviceLostCallback(this.selectedDeviceId);
+        } else if (!this.deviceMissing && wasMissing) {
+            if (this.debugMode) console.log('Microphone: Selected device is available again');
+            if (this.onDeviceRestoredCallback) this.onDeviceRestoredCallback(this.selectedDeviceId);
+        }
+
+        if (this.onDevicesChangedCallback) this.onDevicesChangedCallback(this.devices);
+        return this.devices;
+    }
+
+    isAvailable(deviceId) {
+        return this.devices.some(device => device.deviceId === deviceId);
+    }
+
+    /**
+     * Choose the input device and remember it for the next start
+     * @param {string} deviceId - Device ID from enumerateDevices, or '' for the browser default
+     */
+    selectDevice(deviceId) {
+        this.selectedDeviceId = deviceId || '';
+        this.deviceMissing = false;
+        this.saveSelection(this.selectedDeviceId);
+        if (this.debugMode) console.log(`Microphone: Selected ${this.selectedDeviceId || 'default device'}`);
+    }
+
+    /**
+     * getUserMedia constraints for the chosen device
+     * Falls back to the browser default while the chosen device is unplugged
+     */
+    getConstraints() {
+        if (!this.selectedDeviceId || this.deviceMissing) {
+            return { audio: true };
+        }
+        return { audio: { deviceId: { exact: this.selectedDeviceId } } };
+    }
+
+    /**
+     * Open the chosen microphone, falling back to the default one if it can't be found
+     * @returns {Promise<MediaStream>}
+     */
+    async getStream() {
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.getConstraints());
+        } catch (error) {
+            const notFound = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            if (!notFound || !this.selectedDeviceId || this.deviceMissing) throw error;
+
+            console.warn(`Microphone: Selected device ${this.selectedDeviceId} could not be opened, using the default`);
+            this.deviceMissing = true;
+            if (this.onDeviceLostCallback) this.onDeviceLostCallback(this.selectedDeviceId);
+            return navigator.mediaDevices.getUserMedia({ audio: true });
+        }
+    }
+
+    setCallbacks(onDevicesChanged, onDeviceLost, onDeviceRestored) {
+        this.onDevicesChangedCallback = onDevicesChanged;
+        this.onDeviceLostCallback = onDeviceLost;
+        this.onDeviceRestoredCallback = onDeviceRestored;
+    }
+}
+
+// Export as global variable
+window.microphone = new MicrophoneSelector();
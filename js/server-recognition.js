@@ -0,0 +1,269 @@
+/**
+ * Server-side speech recognition
+ * Records one utterance with MediaRecorder and sends it to the server's /api/stt engine.
+ * It mimics the Web Speech SpeechRecognition object (start/stop/abort and the on* event handlers),
+ * so SpeechToText can use it in browsers without the Web Speech API.
+ */
+class ServerRecognition {
+    constructor(endpoint = '/api/stt') {
+        this.endpoint = endpoint;
+
+        // SpeechRecognition properties; only lang is used, the rest are accepted for compatibility
+        this.lang = 'en-US';
+        this.continuous = false;
+        this.interimResults = false;
+        this.maxAlternatives = 1;
+        this.grammars = null;
+
+        // Endpointing
+        this.endOfSpeechSilence = 900;     // Time in ms of silence that ends the utterance
+        this.noSpeechTimeout = 8000;       // Give up if nobody speaks within this time
+        this.maxUtteranceLength = 15000;   // Upload after this long even if the visitor keeps talking
+        this.fallbackSilenceLevel = -50;   // dBFS speech threshold when the level meter isn't calibrated
+        this.uploadTimeout = 15000;
+
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.audioContext = null;
+        this.analyser = null;
+        this.levelTimer = null;
+        this.noSpeechTimer = null;
+        this.maxLengthTimer = null;
+        this.speechStarted = false;
+        this.lastVoiceAt = 0;
+        this.running = false;
+        this.sessionId = 0;                // Increments per start(), so late async work of an old session is dropped
+
+        // SpeechRecognition event handlers
+        this.onstart = null;
+        this.onend = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onaudiostart = null;
+        this.onaudioend = null;
+        this.onsoundstart = null;
+        this.onsoundend = null;
+        this.onspeechstart = null;
+        this.onspeechend = null;
+    }
+
+    static isSupported() {
+        return !!(window.MediaRecorder && navigator.mediaDevices && navigator.mediaDevices.getUserMedia &&
+            (window.AudioContext || window.webkitAudioContext));
+    }
+
+    emit(type, properties = {}) {
+        const handler = this[`on${type}`];
+        if (handler) handler({ type, ...properties });
+    }
+
+    start() {
+        if (this.running) {
+            // Same behaviour as the native recognizer, which SpeechToText already handles
+            throw new Error('Recognition has already started');
+        }
+
+        this.running = true;
+        this.speechStarted = false;
+        this.chunks = [];
+
+        const sessionId = ++this.sessionId;
+        this.openMicrophone(sessionId).catch(error => {
+            if (sessionId !== this.sessionId) return;
+            console.error('Server recognition: Could not open the microphone:', error);
+            this.fail(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+        });
+    }
+
+    async openMicrophone(sessionId) {
+        const stream = await window.microphone.getStream();
+
+        // Stopped or restarted while waiting for the microphone
+        if (sessionId !== this.sessionId || !this.running) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+
+        this.stream = stream;
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        this.audioContext = new AudioContext();
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+
+        this.recorder = new MediaRecorder(this.stream);
+        this.recorder.ondataavailable = event => {
+            if (event.data && event.data.size > 0) this.chunks.push(event.data);
+        };
+        this.recorder.onstop = () => this.finishRecording(sessionId);
+        this.recorder.start();
+
+        this.emit('start');
+        this.emit('audiostart');
+
+        const samples = new Float32Array(this.analyser.fftSize);
+        this.levelTimer = setInterval(() => this.checkLevel(samples), 50);
+        this.noSpeechTimer = setTimeout(() => {
+            if (!this.speechStarted) this.fail('no-speech');
+        }, this.noSpeechTimeout);
+    }
+
+    // Detect the start and end of the visitor's speech from the mic level
+    checkLevel(samples) {
+        this.analyser.getFloatTimeDomainData(samples);
+        const rms = Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+        const level = 20 * Math.log10(rms || 1e-5);
+
+        // Share the calibrated noise floor when the level meter is running
+        const silenceLevel = window.vad && window.vad.isCalibrated()
+            ? window.vad.getSilenceLevel()
+            : this.fallbackSilenceLevel;
+
+        const now = Date.now();
+        if (level > silenceLevel) {
+            this.lastVoiceAt = now;
+            if (!this.speechStarted) {
+                this.speechStarted = true;
+                clearTimeout(this.noSpeechTimer);
+                this.maxLengthTimer = setTimeout(() => this.stop(), this.maxUtteranceLength);
+                this.emit('soundstart');
+                this.emit('speechstart');
+            }
+        } else if (this.speechStarted && now - this.lastVoiceAt > this.endOfSpeechSilence) {
+            this.emit('speechend');
+            this.emit('soundend');
+            this.stop();
+        }
+    }
+
+    // Stop recording; whatever was said so far is transcribed
+    stop() {
+        if (!this.running) return;
+
+        this.stopMonitoring();
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();   // finishRecording runs from the recorder's stop event
+        } else {
+            this.end();
+        }
+    }
+
+    // Stop recording and discard the audio
+    abort() {
+        if (!this.running) return;
+
+        this.fail('aborted');
+    }
+
+    async finishRecording(sessionId) {
+        const mimeType = this.recorder.mimeType || 'audio/webm';
+        this.recorder = null;
+        this.emit('audioend');
+        this.releaseMicrophone();
+
+        if (!this.speechStarted || this.chunks.length === 0) {
+            this.fail('no-speech');
+            return;
+        }
+
+        const audio = new Blob(this.chunks, { type: mimeType });
+        this.chunks = [];
+
+        try {
+            const transcript = await this.upload(audio);
+            if (sessionId !== this.sessionId || !this.running) return;
+
+            if (!transcript) {
+                this.fail('no-match');
+                return;
+            }
+
+            // Shaped like a SpeechRecognitionEvent with a single final result;
+            // the engine gives no confidence score, which is reported as 0 like browsers without one
+            const result = [{ transcript, confidence: 0 }];
+            result.isFinal = true;
+            this.emit('result', { resultIndex: 0, results: [result] });
+            this.end();
+        } catch (error) {
+            if (sessionId !== this.sessionId) return;
+            console.error('Server recognition error:', error);
+            this.fail('network');
+        }
+    }
+
+    async upload(audio) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.uploadTimeout);
+
+        try {
+            const response = await fetch(`${this.endpoint}?lang=${encodeURIComponent(this.lang)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': audio.type.split(';')[0]
+                },
+                body: audio,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Speech recognition server error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return (data.text || '').trim();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    fail(error) {
+        if (!this.running) return;
+
+        this.stopMonitoring();
+
+        // Drop the recording, the error ends this session
+        if (this.recorder) {
+            this.recorder.ondataavailable = null;
+            this.recorder.onstop = null;
+            if (this.recorder.state !== 'inactive') this.recorder.stop();
+            this.recorder = null;
+        }
+        this.releaseMicrophone();
+
+        this.emit('error', { error });
+        this.end();
+    }
+
+    end() {
+        if (!this.running) return;
+
+        this.running = false;
+        this.emit('end');
+    }
+
+    stopMonitoring() {
+        clearInterval(this.levelTimer);
+        clearTimeout(this.noSpeechTimer);
+        clearTimeout(this.maxLengthTimer);
+        this.levelTimer = null;
+        this.noSpeechTimer = null;
+        this.maxLengthTimer = null;
+    }
+
+    releaseMicrophone() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.analyser = null;
+    }
+}
+
+// Export as global variable
+window.ServerRecognition = ServerRecognition;
@@ -0,0 +1,271 @@
+/**
+ * Server-side speech synthesis
+ * Renders each utterance with the server's /api/tts engine and plays it through an <audio> element.
+ * It mimics window.speechSynthesis (speak/cancel/pause/resume/getVoices) and SpeechSynthesisUtterance,
+ * so TextToSpeech can use it in place of the browser's voices.
+ */
+class ServerUtterance {
+    constructor(text = '') {
+        this.text = text;
+        this.voice = null;
+        this.lang = '';
+        this.rate = 1;
+        this.pitch = 1;     // Not supported by the server engines, accepted for compatibility
+        this.volume = 1;
+
+        // SpeechSynthesisUtterance event handlers
+        this.onstart = null;
+        this.onend = null;
+        this.onerror = null;
+        this.onpause = null;
+        this.onresume = null;
+    }
+}
+
+class ServerSynthesis {
+    constructor(endpoint = '/api/tts') {
+        this.endpoint = endpoint;
+        this.voicesEndpoint = `${endpoint}/voices`;
+        this.voices = [];
+        this.queue = [];            // { utterance, audioPromise, controller } waiting to be played
+        this.current = null;        // Entry being played
+        this.audio = new Audio();
+        this.speaking = false;
+        this.paused = false;
+        this.pending = false;
+        this.onvoiceschanged = null;
+
+        // Level meter on the played audio, for the avatar's lip-sync
+        this.audioContext = null;
+        this.analyser = null;
+        this.levelSamples = null;
+
+        this.audio.addEventListener('ended', () => this.finishCurrent());
+        this.audio.addEventListener('error', () => this.failCurrent('audio-hardware'));
+
+        this.loadVoices();
+    }
+
+    static isSupported() {
+        return typeof window.Audio === 'function' && typeof window.fetch === 'function';
+    }
+
+    async loadVoices() {
+        try {
+            const response = await fetch(this.voicesEndpoint);
+            if (!response.ok) {
+                throw new Error(`Voices request error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.voices = (data.voices || []).map(voice => ({
+                name: voice.name,
+                lang: voice.lang || '',
+                default: !!voice.default,
+                localService: false,
+                voiceURI: voice.name
+            }));
+        } catch (error) {
+            console.error('Server TTS: Could not load voices:', error);
+        }
+
+        // Without configured voices the server picks one from the language, expose a single default voice
+        if (this.voices.length === 0) {
+            this.voices = [{ name: 'server', lang: '', default: true, localService: false, voiceURI: 'server' }];
+        }
+
+        if (this.onvoiceschanged) this.onvoiceschanged();
+    }
+
+    getVoices() {
+        return this.voices;
+    }
+
+    speak(utterance) {
+        // Request the audio right away, so utterances queued behind the current one render while it plays
+        const controller = new AbortController();
+        const entry = { utterance, controller, audioPromise: this.synthesize(utterance, controller.signal) };
+        // Failures are handled when the entry is played
+        entry.audioPromise.catch(() => {});
+
+        this.queue.push(entry);
+        this.pending = this.queue.length > 0;
+
+        if (!this.current) this.playNext();
+    }
+
+    async synthesize(utterance, signal) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                text: utterance.text,
+                lang: utterance.lang,
+                voice: utterance.voice && utterance.voice.name !== 'server' ? utterance.voice.name : '',
+                rate: utterance.rate
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Speech synthesis server error: ${response.status}`);
+        }
+
+        return URL.createObjectURL(await response.blob());
+    }
+
+    async playNext() {
+        const entry = this.queue.shift();
+        this.pending = this.queue.length > 0;
+
+        if (!entry) {
+            this.current = null;
+            this.speaking = false;
+            return;
+        }
+
+        this.current = entry;
+        this.speaking = true;
+
+        try {
+            entry.url = await entry.audioPromise;
+        } catch (error) {
+            if (this.current !== entry) return;
+            console.error('Server TTS: Speech synthesis failed:', error);
+            this.failCurrent('synthesis-failed');
+            return;
+        }
+
+        // Cancelled while the audio was being rendered (releaseEntry() revokes its URL)
+        if (this.current !== entry) return;
+
+        this.audio.src = entry.url;
+        this.audio.volume = entry.utterance.volume;
+        this.connectAnalyser();
+
+        try {
+            await this.audio.play();
+            if (this.current !== entry) return;
+            if (this.paused) this.audio.pause();
+            if (entry.utterance.onstart) entry.utterance.onstart({ type: 'start', utterance: entry.utterance });
+        } catch (error) {
+            if (this.current !== entry) return;
+            console.error('Server TTS: Audio playback failed:', error);
+            this.failCurrent('audio-busy');
+        }
+    }
+
+    finishCurrent() {
+        const entry = this.current;
+        if (!entry) return;
+
+        this.releaseEntry(entry);
+        this.current = null;
+        if (entry.utterance.onend) entry.utterance.onend({ type: 'end', utterance: entry.utterance });
+
+        // The handler may already have started the next utterance
+        if (!this.current) this.playNext();
+    }
+
+    failCurrent(error) {
+        const entry = this.current;
+        if (!entry) return;
+
+        this.releaseEntry(entry);
+        this.current = null;
+        if (entry.utterance.onerror) entry.utterance.onerror({ type: 'error', error, utterance: entry.utterance });
+
+        // The handler may already have started the next utterance
+        if (!this.current) this.playNext();
+    }
+
+    // Route the audio element through an analyser so its loudness can be measured
+    connectAnalyser() {
+        if (this.analyser) return;
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+
+        try {
+            if (!this.audioContext) this.audioContext = new AudioContext();
+
+            // Audio routed through a suspended context is silent, so only connect once it runs
+            if (this.audioContext.state !== 'running') {
+                this.audioContext.resume().catch(() => {});
+                return;
+            }
+
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.levelSamples = new Float32Array(this.analyser.fftSize);
+            this.audioContext.createMediaElementSource(this.audio).connect(this.analyser);
+            this.analyser.connect(this.audioContext.destination);
+        } catch (error) {
+            console.warn('Server TTS: Could not measure the audio level:', error);
+            this.analyser = null;
+        }
+    }
+
+    // The level meter only works once the audio context could be started
+    hasLevelMeter() {
+        return !!this.analyser;
+    }
+
+    /**
+     * Loudness of the speech being played
+     * @returns {number} 0 (silent) to 1 (loud)
+     */
+    getLevel() {
+        if (!this.analyser || !this.current || this.audio.paused) return 0;
+
+        this.analyser.getFloatTimeDomainData(this.levelSamples);
+        const rms = Math.sqrt(this.levelSamples.reduce((sum, value) => sum + value * value, 0) / this.levelSamples.length);
+        const level = 20 * Math.log10(rms || 1e-5);
+        return Math.min(1, Math.max(0, (level + 50) / 40));
+    }
+
+    releaseEntry(entry) {
+        entry.controller.abort();
+
+        if (entry.url) {
+            URL.revokeObjectURL(entry.url);
+        } else {
+            // Not played yet: audio that already finished rendering still holds a blob URL
+            entry.audioPromise.then(url => URL.revokeObjectURL(url), () => {});
+        }
+    }
+
+    // Drop everything; like the browser's cancel(), handlers of cancelled utterances aren't relied on
+    cancel() {
+        const entries = this.current ? [this.current, ...this.queue] : this.queue;
+        this.current = null;
+        this.queue = [];
+        entries.forEach(entry => this.releaseEntry(entry));
+
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.speaking = false;
+        this.paused = false;
+        this.pending = false;
+    }
+
+    pause() {
+        if (!this.speaking || this.paused) return;
+        this.paused = true;
+        this.audio.pause();
+        if (this.current && this.current.utterance.onpause) this.current.utterance.onpause({ type: 'pause' });
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        if (this.current && this.audio.src) this.audio.play().catch(() => {});
+        if (this.current && this.current.utterance.onresume) this.current.utterance.onresume({ type: 'resume' });
+    }
+}
+
+// Export as global variables
+window.ServerSynthesis = ServerSynthesis;
+window.ServerUtterance = ServerUtterance;
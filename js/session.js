@@ -0,0 +1,165 @@
+/**
+ * Visitor session lifecycle
+ * A session starts with the welcome message and ends on a goodbye, an idle timeout or a reset
+ */
+class SessionManager {
+    constructor() {
+        this.current = null;            // Active session, or null when the kiosk is idle
+        this.idleTimeout = 60000;       // End the session after this many ms without activity
+        this.idleTimer = null;
+        this.transcriptEndpoint = '/api/sessions';  // Where finished sessions are logged
+        this.debugMode = true;
+
+        // Lets the app keep the session alive while it is busy (e.g. the avatar is speaking)
+        this.busyCheck = null;
+
+        // Callback functions for the main app to use
+        this.onStartCallback = null;
+        this.onEndCallback = null;
+
+        // Log the session if the kiosk page is closed or reloaded mid-conversation
+        window.addEventListener('pagehide', () => this.end('closed'));
+    }
+
+    createId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Start a new visitor session, ending any previous one
+     * @returns {Object} The new session
+     */
+    start() {
+        if (this.current) {
+            this.end('replaced');
+        }
+
+        this.current = {
+            id: this.createId(),
+            startTime: Date.now(),
+            endTime: null,
+            endReason: null,
+            turns: []
+        };
+
+        if (this.debugMode) console.log(`Session ${this.current.id} started`);
+
+        this.touch();
+        if (this.onStartCallback) this.onStartCallback(this.current);
+        return this.current;
+    }
+
+    /**
+     * End the current session
+     * @param {string} reason - 'goodbye', 'idle', 'reset', 'replaced' or 'closed'
+     * @returns {Object|null} The ended session, or null if none was active
+     */
+    end(reason) {
+        if (!this.current) return null;
+
+        this.clearIdleTimer();
+
+        const session = this.current;
+        session.endTime = Date.now();
+        session.endReason = reason;
+        session.language = window.language ? window.language.currentLanguage : null;
+        this.current = null;
+
+        if (this.debugMode) {
+            const seconds = ((session.endTime - session.startTime) / 1000).toFixed(1);
+            console.log(`Session ${session.id} ended (${reason}) after ${seconds}s and ${session.turns.length} turns`);
+        }
+
+        this.saveTranscript(session);
+
+        if (this.onEndCallback) this.onEndCallback(session);
+        return session;
+    }
+
+    // Send the finished session to the server log; failures are only logged
+    async saveTranscript(session) {
+        try {
+            const response = await fetch(this.transcriptEndpoint, {
+                method: 'POST',
+                keepalive: true,   // Still delivered if the page is closing
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(session)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Transcript save error: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error saving session transcript:', error);
+        }
+    }
+
+    isActive() {
+        return this.current !== null;
+    }
+
+    /**
+     * Record one visitor/AI exchange and count it as activity
+     * @param {Object} turn - { user, confidence, ai, sources, latency: { firstChunkMs, responseMs } }
+     */
+    recordTurn(turn) {
+        if (!this.current) return;
+
+        this.current.turns.push({ ...turn, timestamp: Date.now() });
+        this.touch();
+    }
+
+    // Register activity, restarting the idle countdown
+    touch() {
+        if (!this.current) return;
+
+        this.clearIdleTimer();
+        this.idleTimer = setTimeout(() => this.handleIdleTimeout(), this.idleTimeout);
+    }
+
+    handleIdleTimeout() {
+        this.idleTimer = null;
+        if (!this.current) return;
+
+        // Don't cut a visitor off while the kiosk itself is still busy
+        if (this.busyCheck && this.busyCheck()) {
+            if (this.debugMode) console.log('Session idle timeout reached while busy, waiting');
+            this.touch();
+            return;
+        }
+
+        this.end('idle');
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    setIdleTimeout(milliseconds) {
+        this.idleTimeout = milliseconds;
+        if (this.debugMode) console.log(`Session idle timeout set to ${milliseconds}ms`);
+
+        // Apply the new timeout to the running session
+        this.touch();
+    }
+
+    setBusyCheck(busyCheck) {
+        this.busyCheck = busyCheck;
+    }
+
+    setCallbacks(onStart, onEnd) {
+        this.onStartCallback = onStart;
+        this.onEndCallback = onEnd;
+    }
+}
+
+// Export as global variable
+window.session = new SessionManager();
\ No newline at end of file
@@ -1,11 +1,14 @@
 /**
  * Speech-to-Text functionality using Web Speech API
  * Following Mozilla's standards more closely
+ * Falls back to server-side recognition (see server-recognition.js) in browsers without it
  */
 class SpeechToText {
     constructor() {
         // Core properties
         this.recognition = null;
+        this.backend = 'auto';         // 'browser' (Web Speech API), 'server' (/api/stt) or 'auto'
+        this.activeBackend = null;     // Backend actually in use, null if none is available
         this.isListening = false;
         this.transcript = '';
         this.continuous = false;       // Whether recognition should run in continuous mode
@@ -28,11 +31,26 @@ class SpeechToText {
             'perfect thanks',
             'good thanks'
         ]; // Phrases that naturally end conversations
+        this.languageEndingPhrases = [];        // Extra ending phrases for the current language
+        this.language = 'en-US';                // Recognition locale
         this.noSpeechAfterEndingPhrase = false; // Flag to track if we're in a conversation ending state
         this.pauseAfterConversationEnd = 8000;  // Time to pause after conversation ending phrase
         this.aiJustResponded = false;           // Flag to track if AI just finished speaking
         this.pauseAfterAiResponse = 5000;       // Time to pause after AI response before showing no-speech errors
         this.detectingSpeech = false;           // Tracks if we're detecting any sound
+        this.startedAt = 0;                     // When the current recognition session started
+        this.maxSilenceExtensions = 3;          // Times the silence timer may wait longer for a still-audible visitor
+        this.silenceExtensions = 0;
+        this.interimResults = true;             // Report partial transcripts as live captions
+        this.maxAlternatives = 3;               // N-best transcripts reported for each result
+        this.domainTerms = [];                  // Names and acronyms added to the recognition grammar
+
+        // Wake-word mode: only forward speech addressed to the kiosk
+        this.wakeWordMode = false;
+        this.wakePhrases = ['hey atlas', 'hi atlas', 'ok atlas'];
+        this.wakeWindow = 10000;                // Time in ms speech is accepted after the wake phrase
+        this.awakeUntil = 0;                    // Timestamp until which no wake phrase is needed
+        this.wakeTimer = null;
 
         // Extended debug logs for event tracking
         this.debugMode = true;
@@ -42,6 +60,9 @@ class SpeechToText {
         this.onResultCallback = null;
         this.onEndCallback = null;
         this.onErrorCallback = null;
+        this.onInterimCallback = null;
+        this.onWakeCallback = null;
+        this.onSleepCallback = null;
 
         // Check if API is supported
         this.isSupported = this.checkBrowserSupport();
@@ -61,8 +82,54 @@ class SpeechToText {
             return false;
         }
 
-        // Check browser support
-        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+        this.activeBackend = this.resolveBackend();
+        return this.activeBackend !== null;
+    }
+
+    // Pick the recognition backend from the configured preference and what the browser supports
+    resolveBackend() {
+        const hasBrowser = !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+        const hasServer = !!(window.ServerRecognition && window.ServerRecognition.isSupported());
+
+        if (this.backend === 'browser') return hasBrowser ? 'browser' : null;
+        if (this.backend === 'server') return hasServer ? 'server' : null;
+        if (hasBrowser) return 'browser';
+        return hasServer ? 'server' : null;
+    }
+
+    /**
+     * Choose where speech is recognized
+     * @param {string} backend - 'browser', 'server' or 'auto' (browser when available, else server)
+     */
+    setBackend(backend) {
+        if (this.recognition) {
+            this.abort();
+            this.recognition = null;
+        }
+
+        this.backend = backend;
+        this.isSupported = this.checkBrowserSupport();
+
+        if (this.isSupported) {
+            this.initRecognition();
+            if (this.debugMode) console.log(`Speech recognition backend: ${this.activeBackend}`);
+        } else {
+            console.error(`Speech recognition backend "${backend}" not supported in this browser`);
+        }
+    }
+
+    // Only in auto mode: an explicit 'browser' preference keeps reporting the error
+    shouldFallBackToServer(error) {
+        return this.backend === 'auto' && this.activeBackend === 'browser' &&
+            (error === 'network' || error === 'service-not-allowed') &&
+            !!(window.ServerRecognition && window.ServerRecognition.isSupported());
+    }
+
+    // Switch to server recognition for the rest of the visit; the failed browser instance has already stopped
+    fallBackToServer(error) {
+        console.warn(`Browser speech recognition failed (${error}), switching to server recognition`);
+        this.activeBackend = 'server';
+        this.initRecognition();
     }
 
     initRecognition() {
@@ -70,38 +137,27 @@ class SpeechToText {
 
         try {
             // Get the appropriate constructor
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            const SpeechGrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+            const SpeechRecognition = this.activeBackend === 'server'
+                ? window.ServerRecognition
+                : window.SpeechRecognition || window.webkitSpeechRecognition;
 
             // Create a new recognition instance
             this.recognition = new SpeechRecognition();
 
             // Optional: Set up a grammar list for better recognition
-            if (SpeechGrammarList) {
-                const grammarList = new SpeechGrammarList();
-
-                // Define a simple grammar with common phrases
-                const grammar = `#JSGF V1.0; grammar phrases; public <phrase> =
-                    hello | hi | hey | welcome |
-                    what is | what are | how do | can you |
-                    tell me about | explain | show me |
-                    help | thanks | thank you | goodbye;`;
-
-                grammarList.addFromString(grammar, 1);
-                this.recognition.grammars = grammarList;
-            }
+            this.applyGrammar();
 
             // Set recognition parameters according to Mozilla standards
             this.recognition.continuous = false;      // We manually handle continuous mode
-            this.recognition.interimResults = false;  // We only want final results
-            this.recognition.maxAlternatives = 1;     // Only get the best match
+            this.recognition.interimResults = this.interimResults;  // Partial results are only used for captions
+            this.recognition.maxAlternatives = this.maxAlternatives;  // Let the conversation pick between close matches
 
             // Increase timeout values where possible
             if ('speechRecognitionTimeout' in this.recognition) {
                 this.recognition.speechRecognitionTimeout = 10000; // 10 seconds
             }
 
-            this.recognition.lang = 'en-US';
+            this.recognition.lang = this.language;
 
             // Set up the core event handlers
             this.setupEventHandlers();
@@ -146,10 +202,10 @@ class SpeechToText {
                 this.silenceTimer = null;
             }
 
-            // Stop talking animation if it's still active
+            // Stop the listening animation if it's still active
             if (window.avatar) {
-                if (this.debugMode) console.log('STT: Stopping talking animation when recognition ends');
-                window.avatar.stopTalking();
+                if (this.debugMode) console.log('STT: Stopping listening animation when recognition ends');
+                window.avatar.endState('listening');
             }
 
             if (this.onEndCallback) this.onEndCallback();
@@ -173,14 +229,35 @@ class SpeechToText {
             }
 
             if (this.debugMode) console.log('Recognition results received', event);
-            const result = event.results[0][0].transcript;
-            const confidence = event.results[0][0].confidence;
+
+            // Separate the final result from partial (interim) ones
+            let finalResult = null;
+            let interimText = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                if (event.results[i].isFinal) {
+                    finalResult = event.results[i];
+                } else {
+                    interimText += event.results[i][0].transcript;
+                }
+            }
+
+            // Interim results only feed the live captions, nothing else happens until the final one
+            if (!finalResult) {
+                this.handleInterimResult(interimText);
+                return;
+            }
+
+            const result = finalResult[0].transcript;
+            const confidence = finalResult[0].confidence;
 
             if (this.debugMode) console.log(`Heard: "${result}" (confidence: ${confidence.toFixed(2)})`);
             this.transcript = result;
 
+            // In wake-word mode, drop speech that isn't addressed to the kiosk
+            const accepted = this.wakeWordMode ? this.filterByWakeWord(result) : result;
+
             // Store the last phrase the user said
-            this.lastUserPhrase = result.toLowerCase().trim();
+            this.lastUserPhrase = (accepted || '').toLowerCase().trim();
 
             // Check if this is a conversation ending phrase
             const isEndingPhrase = this.isConversationEndingPhrase(this.lastUserPhrase);
@@ -196,13 +273,15 @@ class SpeechToText {
                 }, this.pauseAfterConversationEnd);
             }
 
-            // Stop talking animation when speech ends and results are processed
+            // Stop the listening animation when speech ends and results are processed
             if (window.avatar) {
-                if (this.debugMode) console.log('STT: Stopping talking animation when results received');
-                window.avatar.stopTalking();
+                if (this.debugMode) console.log('STT: Stopping listening animation when results received');
+                window.avatar.endState('listening');
             }
 
-            if (this.onResultCallback) this.onResultCallback(result);
+            if (accepted && this.onResultCallback) {
+                this.onResultCallback(accepted, confidence, this.getAlternatives(finalResult, accepted));
+            }
 
             // In continuous mode, we need to manually restart after results
             if (this.continuous && !this.recognition.continuous) {
@@ -213,7 +292,7 @@ class SpeechToText {
 
                 // Let the result be processed before restarting
                 setTimeout(() => {
-                    if (!this.isListening) {
+                    if (this.continuous && !this.isListening) {
                         this.start();
                     }
                 }, restartDelay);
@@ -231,6 +310,26 @@ class SpeechToText {
                 this.errorCounts = {};
             }
 
+            // Nobody spoke above the hall's noise floor since recognition started, or the hall is so loud
+            // that no-speech errors fire constantly: either way there's nothing useful to report
+            if (event.error === 'no-speech' && window.vad && window.vad.isCalibrated() &&
+                (!window.vad.hasVoiceSince(this.startedAt) || window.vad.isNoisy())) {
+                if (this.debugMode) console.log('Ignoring no-speech error, no voice activity or noisy environment');
+
+                if (this.onErrorCallback) {
+                    this.onErrorCallback('no-speech-silent');
+                }
+
+                if (this.continuous && !this.recognition.continuous) {
+                    setTimeout(() => {
+                        if (this.continuous) {
+                            this.start();
+                        }
+                    }, 1000);
+                }
+                return;
+            }
+
             // Check if AI just responded, and this is a no-speech error shortly after
             if (event.error === 'no-speech' && this.aiJustResponded) {
                 if (this.debugMode) console.log('Ignoring no-speech error shortly after AI response');
@@ -272,6 +371,13 @@ class SpeechToText {
                 return;
             }
 
+            // The browser's recognition service is unreachable or blocked, which won't fix itself by retrying
+            if (this.shouldFallBackToServer(event.error)) {
+                this.fallBackToServer(event.error);
+                // The end event that follows restarts listening in continuous mode, now on the server
+                return;
+            }
+
             // Increment error count for this type
             this.errorCounts[event.error] = (this.errorCounts[event.error] || 0) + 1;
 
@@ -373,10 +479,10 @@ class SpeechToText {
                 this.silenceTimer = null;
             }
 
-            // Trigger talking animation when speech is detected
-            if (window.avatar) {
-                if (this.debugMode) console.log('STT: Starting talking animation when speech detected');
-                window.avatar.startTalking();
+            // Show the avatar listening when speech is detected, unless the AI is talking over it
+            if (window.avatar && !this.isAiSpeaking()) {
+                if (this.debugMode) console.log('STT: Starting listening animation when speech detected');
+                window.avatar.setState('listening');
             }
         };
 
@@ -387,27 +493,42 @@ class SpeechToText {
 
             // Instead of immediately ending recognition, start a timer to wait for more speech
             // This helps prevent premature cutoffs
-            if (this.silenceTimer) {
-                clearTimeout(this.silenceTimer);
-            }
-
-            this.silenceTimer = setTimeout(() => {
-                if (this.debugMode) console.log(`Silence timer expired after ${this.silenceThreshold}ms - finalizing speech`);
-                // If we're in continuous mode, don't process yet - wait for proper results
-                if (!this.continuous && this.recognition) {
-                    try {
-                        this.recognition.stop();
-                    } catch (e) {
-                        console.error('Error stopping recognition:', e);
-                    }
-                }
-            }, this.silenceThreshold);
+            this.silenceExtensions = 0;
+            this.startSilenceTimer();
 
             // Keep animation for a bit longer, it'll be stopped when recognition truly ends
             // or when results are processed
         };
     }
 
+    startSilenceTimer() {
+        if (this.silenceTimer) {
+            clearTimeout(this.silenceTimer);
+        }
+
+        this.silenceTimer = setTimeout(() => {
+            this.silenceTimer = null;
+
+            // The level meter still hears the visitor above the hall's noise floor, so keep waiting
+            if (window.vad && window.vad.isVoiceActive() && this.silenceExtensions < this.maxSilenceExtensions) {
+                this.silenceExtensions++;
+                if (this.debugMode) console.log('Silence timer expired but voice is still active - waiting longer');
+                this.startSilenceTimer();
+                return;
+            }
+
+            if (this.debugMode) console.log(`Silence timer expired after ${this.silenceThreshold}ms - finalizing speech`);
+            // If we're in continuous mode, don't process yet - wait for proper results
+            if (!this.continuous && this.recognition) {
+                try {
+                    this.recognition.stop();
+                } catch (e) {
+                    console.error('Error stopping recognition:', e);
+                }
+            }
+        }, this.silenceThreshold);
+    }
+
     start() {
         if (!this.isSupported) {
             console.error('Speech recognition not supported');
@@ -429,6 +550,7 @@ class SpeechToText {
         try {
             if (this.debugMode) console.log('Starting speech recognition service...');
             this.recognition.start();
+            this.startedAt = Date.now();
             return Promise.resolve(true);
         } catch (error) {
             console.error('Error starting recognition:', error);
@@ -459,6 +581,78 @@ class SpeechToText {
         }
     }
 
+    // Grammar hints with common phrases and the domain terms, where the browser supports grammars
+    applyGrammar() {
+        const SpeechGrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+        if (!SpeechGrammarList || !this.recognition) return;
+
+        try {
+            const grammarList = new SpeechGrammarList();
+
+            // Define a simple grammar with common phrases
+            const grammar = `#JSGF V1.0; grammar phrases; public <phrase> =
+                hello | hi | hey | welcome |
+                what is | what are | how do | can you |
+                tell me about | explain | show me |
+                help | thanks | thank you | goodbye;`;
+
+            grammarList.addFromString(grammar, 1);
+
+            // JSGF tokens can't contain punctuation, so terms are reduced to plain words
+            const terms = this.domainTerms
+                .map(term => term.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim())
+                .filter(Boolean);
+
+            if (terms.length > 0) {
+                grammarList.addFromString(`#JSGF V1.0; grammar terms; public <term> = ${terms.join(' | ')};`, 1);
+            }
+
+            this.recognition.grammars = grammarList;
+        } catch (error) {
+            console.warn('Could not set recognition grammar:', error);
+        }
+    }
+
+    setDomainTerms(terms) {
+        this.domainTerms = terms;
+        this.applyGrammar();
+        if (this.debugMode) console.log(`Recognition grammar updated with ${terms.length} domain terms`);
+    }
+
+    /**
+     * List the recognizer's alternatives for a final result, best first
+     * @param {SpeechRecognitionResult} result - The final recognition result
+     * @param {string} accepted - The best transcript after wake-phrase filtering
+     * @returns {Array<{transcript: string, confidence: number}>}
+     */
+    getAlternatives(result, accepted) {
+        const alternatives = [{ transcript: accepted, confidence: result[0].confidence }];
+
+        for (let i = 1; i < result.length; i++) {
+            let transcript = result[i].transcript.trim();
+
+            // Strip the wake phrase the same way as for the best transcript
+            if (this.wakeWordMode) {
+                const remainder = this.matchWakePhrase(transcript);
+                if (remainder !== null) transcript = remainder;
+            }
+
+            if (transcript) {
+                alternatives.push({ transcript, confidence: result[i].confidence });
+            }
+        }
+
+        return alternatives;
+    }
+
+    setMaxAlternatives(count) {
+        this.maxAlternatives = Math.max(1, count);
+        if (this.recognition) {
+            this.recognition.maxAlternatives = this.maxAlternatives;
+        }
+        if (this.debugMode) console.log(`Recognition alternatives set to ${this.maxAlternatives}`);
+    }
+
     setSilenceThreshold(milliseconds) {
         this.silenceThreshold = milliseconds;
         if (this.debugMode) console.log(`Speech silence threshold set to ${milliseconds}ms`);
@@ -469,6 +663,23 @@ class SpeechToText {
         if (this.debugMode) console.log(`Continuous listening mode ${continuous ? 'enabled' : 'disabled'}`);
     }
 
+    /**
+     * Set the recognition locale (e.g. 'en-US', 'fr-FR', 'ar-MA')
+     * Applies from the next recognition start
+     * @param {string} lang - BCP 47 language tag
+     * @param {string[]} [endingPhrases] - Conversation ending phrases in that language
+     */
+    setLanguage(lang, endingPhrases = []) {
+        this.language = lang;
+        this.languageEndingPhrases = endingPhrases;
+
+        if (this.recognition) {
+            this.recognition.lang = lang;
+        }
+
+        if (this.debugMode) console.log(`Speech recognition language set to ${lang}`);
+    }
+
     setCallbacks(onStart, onResult, onEnd, onError) {
         this.onStartCallback = onStart;
         this.onResultCallback = onResult;
@@ -476,16 +687,144 @@ class SpeechToText {
         this.onErrorCallback = onError;
     }
 
+    handleInterimResult(text) {
+        text = text.trim();
+        if (!text || !this.onInterimCallback) return;
+
+        // Don't caption background chatter that isn't addressed to the kiosk
+        if (this.wakeWordMode && !this.isAwake() && this.matchWakePhrase(text) === null) return;
+
+        this.onInterimCallback(text);
+    }
+
+    setInterimResults(enabled) {
+        this.interimResults = enabled;
+        if (this.recognition) {
+            this.recognition.interimResults = enabled;
+        }
+        if (this.debugMode) console.log(`Interim results ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Enable or disable wake-word mode
+     * @param {boolean} enabled
+     * @param {string[]} [phrases] - Wake phrases, e.g. ['hey atlas']
+     * @param {number} [windowMs] - How long speech is accepted after the wake phrase
+     */
+    setWakeWordMode(enabled, phrases = this.wakePhrases, windowMs = this.wakeWindow) {
+        this.wakeWordMode = enabled;
+        this.wakePhrases = phrases;
+        this.wakeWindow = windowMs;
+
+        if (!enabled) this.sleep();
+
+        if (this.debugMode) console.log(`Wake-word mode ${enabled ? 'enabled' : 'disabled'}`, enabled ? phrases : '');
+    }
+
+    setInterimCallback(onInterim) {
+        this.onInterimCallback = onInterim;
+    }
+
+    setWakeCallbacks(onWake, onSleep) {
+        this.onWakeCallback = onWake;
+        this.onSleepCallback = onSleep;
+    }
+
+    isAwake() {
+        return Date.now() < this.awakeUntil;
+    }
+
+    /**
+     * Apply the wake-word rules to a transcript
+     * @returns {string|null} Text to forward ('' for a bare wake phrase), or null to discard it
+     */
+    filterByWakeWord(text) {
+        const remainder = this.matchWakePhrase(text);
+        if (remainder !== null) {
+            if (this.debugMode) console.log(`Wake phrase detected in "${text}"`);
+            this.wake();
+            return remainder;
+        }
+
+        if (this.isAwake()) {
+            this.keepAwake();
+            return text;
+        }
+
+        if (this.debugMode) console.log(`Ignoring speech without wake phrase: "${text}"`);
+        return null;
+    }
+
+    /**
+     * Check whether text starts with one of the wake phrases
+     * @returns {string|null} The text after the wake phrase, or null if there is none
+     */
+    matchWakePhrase(text) {
+        for (const phrase of this.wakePhrases) {
+            // Wake phrase at the start, tolerating punctuation between and after its words
+            const words = phrase.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            const pattern = new RegExp(`^[\\s\\p{P}]*${words.join('[\\s\\p{P}]+')}(?![\\p{L}\\p{N}])[\\s\\p{P}]*`, 'iu');
+            const match = text.match(pattern);
+
+            if (match) {
+                return text.slice(match[0].length).trim();
+            }
+        }
+
+        return null;
+    }
+
+    wake() {
+        const wasAwake = this.isAwake();
+        this.startWakeWindow();
+        if (!wasAwake && this.onWakeCallback) this.onWakeCallback();
+    }
+
+    // Restart the wake window, e.g. after the AI answered so follow-ups need no wake phrase
+    keepAwake() {
+        if (this.wakeWordMode && this.isAwake()) {
+            this.startWakeWindow();
+        }
+    }
+
+    startWakeWindow() {
+        this.awakeUntil = Date.now() + this.wakeWindow;
+
+        if (this.wakeTimer) clearTimeout(this.wakeTimer);
+        this.wakeTimer = setTimeout(() => this.sleep(), this.wakeWindow);
+    }
+
+    sleep() {
+        const wasAwake = this.awakeUntil !== 0;
+        this.awakeUntil = 0;
+
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+
+        if (wasAwake) {
+            if (this.debugMode) console.log('Wake window expired, waiting for the wake phrase');
+            if (this.onSleepCallback) this.onSleepCallback();
+        }
+    }
+
     // Helper method to check if a phrase is a conversation ending phrase
     isConversationEndingPhrase(text) {
         if (!text) return false;
 
         const lowercaseText = text.toLowerCase().trim();
-        return this.conversationEndingPhrases.some(phrase =>
+        const phrases = this.conversationEndingPhrases.concat(this.languageEndingPhrases);
+        return phrases.some(phrase =>
             lowercaseText === phrase.toLowerCase() ||
             lowercaseText.endsWith(phrase.toLowerCase()));
     }
 
+    // Recognition may run while the AI talks (barge-in), so don't touch its animation then
+    isAiSpeaking() {
+        return !!(window.tts && window.tts.isSpeaking);
+    }
+
     // Method to notify when AI has just responded
     setAiJustResponded(value) {
         this.aiJustResponded = value;
@@ -0,0 +1,37 @@
+/**
+ * Text comparison helpers shared by the FAQ matcher, the domain vocabulary and the conversation
+ */
+class TextMatching {
+    // Lowercase and strip accents, so "Benguérir" matches "benguerir" and "où" matches "ou"
+    normalize(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    // Levenshtein distance, used to tolerate small misrecognitions ("date" / "data")
+    editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+
+        return previous[b.length];
+    }
+}
+
+// Export as global variable
+window.textMatching = new TextMatching();
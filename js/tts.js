@@ -1,9 +1,13 @@
 /**
  * Text-to-Speech functionality using Web Speech API
+ * Can also speak through the server's /api/tts engine (see server-synthesis.js)
  */
 class TextToSpeech {
     constructor() {
-        this.synth = window.speechSynthesis;
+        this.backend = 'auto';          // 'browser' (speechSynthesis), 'server' (/api/tts) or 'auto'
+        this.activeBackend = null;      // Backend actually in use, null if none is available
+        this.synth = null;
+        this.Utterance = null;          // Utterance class matching the synth
         this.voice = null;
         this.voices = [];
         this.isSpeaking = false;
@@ -11,8 +15,56 @@ class TextToSpeech {
         this.onEndCallback = null;
         this.utteranceQueue = [];
         this.currentUtterance = null;
+        this.paused = false;
         this.debugMode = true; // Enable debug logging
 
+        // Completion tracking: speak() resolves once speech has really finished
+        this.resolveSpeech = null;
+        this.watchdogTimer = null;
+        this.watchdogInterval = 500;     // Time in ms between checks of the synth
+        this.watchdogGrace = 1500;       // Time in ms a sentence may take to start before a silent synth counts as done
+        this.keepAliveInterval = 10000;  // Pause/resume this often, Chrome cuts online voices off after ~15s
+        this.lastKeepAliveAt = 0;
+
+        // Incremental (streamed) speech state
+        this.streamOpen = false;   // More text may still arrive
+        this.streamBuffer = '';    // Text not yet ending in a full sentence
+        this.streamCursor = 0;     // Where the next streamed sentence is looked for in spokenText
+        this.speechId = 0;         // Bumped on stop() so stale utterance events are ignored
+
+        // What the kiosk is saying, so the recognizer hearing our own voice can be detected
+        this.spokenText = '';
+        this.spokenTextEndedAt = 0;
+        this.echoWindow = 3000;    // Keep comparing against the last reply for this long (ms)
+
+        // Word-by-word progress, from the voice's boundary events or estimated when it has none;
+        // also drives the avatar's lip-sync
+        this.onWordCallback = null;
+        this.wordTimer = null;
+        this.mouthLevelTimer = null;
+        this.fallbackWordsPerMinute = 165;   // Typical speaking pace at rate 1, for the estimate
+
+        // How to say things the voices get wrong, applied to spoken text only (the bubble keeps the original)
+        // Entries match a whole-word "term" or a regex "pattern"; "all" applies to every language
+        this.lexicon = {
+            all: [
+                { term: 'UM6P', say: 'U M 6 P' },
+                { term: 'ACS', say: 'A C S' },
+                { term: 'OCP', say: 'O C P' },
+                { term: 'Tier III', say: 'Tier 3' },
+                { term: 'Tier IV', say: 'Tier 4' }
+            ],
+            en: [
+                { pattern: '(?<![\\d-])(\\d{1,4})\\s*[-–]\\s*(\\d{1,4})(?![\\d-])', say: '$1 to $2' }
+            ],
+            fr: [
+                { pattern: '(?<![\\d-])(\\d{1,4})\\s*[-–]\\s*(\\d{1,4})(?![\\d-])', say: '$1 au $2' }
+            ],
+            ar: [
+                { pattern: '(?<![\\d-])(\\d{1,4})\\s*[-–]\\s*(\\d{1,4})(?![\\d-])', say: '$1 إلى $2' }
+            ]
+        };
+
         // Default voice settings
         this.defaultRate = 1.0;
         this.defaultPitch = 1.0;
@@ -20,11 +72,56 @@ class TextToSpeech {
 
         // Voice preferences
         this.preferFemale = true; // Prefer female voice if available
-        this.preferredLanguage = 'en'; // Prefer English voices
+        this.preferredLanguage = 'en'; // Voice language prefix, switched by the language manager
+
+        this.initSynth();
+    }
+
+    // Pick the synthesis backend from the configured preference and what the browser supports
+    resolveBackend() {
+        const hasBrowser = !!(window.speechSynthesis && window.SpeechSynthesisUtterance);
+        const hasServer = !!(window.ServerSynthesis && window.ServerSynthesis.isSupported());
+
+        if (this.backend === 'browser') return hasBrowser ? 'browser' : null;
+        if (this.backend === 'server') return hasServer ? 'server' : null;
+        if (hasBrowser) return 'browser';
+        return hasServer ? 'server' : null;
+    }
+
+    initSynth() {
+        this.activeBackend = this.resolveBackend();
+        this.voice = null;
+        this.voices = [];
+
+        if (this.activeBackend === 'server') {
+            this.synth = new window.ServerSynthesis();
+            this.Utterance = window.ServerUtterance;
+        } else if (this.activeBackend === 'browser') {
+            this.synth = window.speechSynthesis;
+            this.Utterance = window.SpeechSynthesisUtterance;
+        } else {
+            this.synth = null;
+            this.Utterance = null;
+            console.error('TTS: No speech synthesis available');
+            return;
+        }
 
+        if (this.debugMode) console.log(`TTS: Using ${this.activeBackend} speech synthesis`);
         this.initVoices();
     }
 
+    /**
+     * Choose where speech is synthesized
+     * @param {string} backend - 'browser', 'server' or 'auto' (browser when available, else server)
+     */
+    setBackend(backend) {
+        this.stop();
+        if (this.synth) this.synth.onvoiceschanged = null;
+
+        this.backend = backend;
+        this.initSynth();
+    }
+
     initVoices() {
         // Wait for voices to be loaded
         if (this.synth.onvoiceschanged !== undefined) {
@@ -36,6 +133,9 @@ class TextToSpeech {
     }
 
     loadVoices() {
+        // The backend may have been switched off while waiting
+        if (!this.synth) return;
+
         // Get all available voices
         this.voices = this.synth.getVoices();
 
@@ -68,6 +168,9 @@ class TextToSpeech {
             }
         }
 
+        // Start from scratch so a voice from a previous language isn't kept
+        this.voice = null;
+
         // Strategy for selecting voice:
         // 1. Try to find a female voice in preferred language if that's our preference
         // 2. Any voice in the preferred language
@@ -148,6 +251,14 @@ class TextToSpeech {
         }
     }
 
+    /**
+     * Speak a whole text, sentence by sentence
+     * @param {string} text - Text as shown in the speech bubble
+     * @param {Function} [onStart] - Replaces the start callback
+     * @param {Function} [onEnd] - Replaces the end callback
+     * @returns {Promise<boolean>} Resolves once the speech has really finished: true when everything
+     * was said, false when it was stopped or speech synthesis isn't available
+     */
     speak(text, onStart, onEnd) {
         if (this.debugMode) {
             console.log('TTS: Starting speech with text:', text.substring(0, 20) + (text.length > 20 ? '...' : ''));
@@ -155,7 +266,7 @@ class TextToSpeech {
 
         if (!this.synth) {
             console.error('TTS: Speech synthesis not available');
-            return;
+            return Promise.resolve(false);
         }
 
         // Cancel any ongoing speech
@@ -163,111 +274,261 @@ class TextToSpeech {
 
         this.onStartCallback = onStart || this.onStartCallback;
         this.onEndCallback = onEnd || this.onEndCallback;
-
-        // Split into sentences for better speech synthesis
-        const sentences = this.splitIntoSentences(text);
-        this.utteranceQueue = [];
+        this.spokenText = text;
+        const speechId = this.speechId;
+        const completion = this.beginSpeech();
+
+        // Split into sentences for better speech synthesis, remembering where each one is in the
+        // displayed text so spoken words can be highlighted there
+        let cursor = 0;
+        const sentences = this.splitIntoSentences(text)
+            .map(sentence => {
+                const display = sentence.trim();
+                const offset = text.indexOf(display, cursor);
+                cursor = offset + display.length;
+                return { display, offset, spoken: this.normalizeForSpeech(display) };
+            })
+            .filter(sentence => sentence.spoken);
 
         if (this.debugMode) {
             console.log(`TTS: Text split into ${sentences.length} sentences`);
         }
 
-        // Create utterances for each chunk
-        for (let i = 0; i < sentences.length; i++) {
-            const sentence = sentences[i].trim();
-            if (!sentence) continue;
-
-            const utterance = new SpeechSynthesisUtterance(sentence);
-            utterance.voice = this.voice;
-            utterance.rate = this.defaultRate;
-            utterance.pitch = this.defaultPitch;
-            utterance.volume = this.defaultVolume;
-
-            // Only add callbacks to the first and last utterances
-            if (i === 0) {
-                utterance.onstart = () => {
-                    this.isSpeaking = true;
-
-                    if (this.debugMode) {
-                        console.log('TTS: Speech started event fired');
-                    }
-
-                    // Force animation to start
-                    if (window.avatar) {
-                        console.log('TTS: Directly triggering avatar animation on speech start');
-                        window.avatar.startTalking();
-                    }
-
-                    if (this.onStartCallback) this.onStartCallback();
-                };
-            }
+        // Nothing left to say (e.g. the reply was only an emoji)
+        if (sentences.length === 0) {
+            setTimeout(() => {
+                if (speechId === this.speechId) this.finishSpeech();
+            }, 0);
+            return completion;
+        }
+
+        sentences.forEach(sentence => this.queueUtterance(sentence.spoken, sentence.display, sentence.offset));
+
+        // Start speaking the first utterance
+        this.speakNextInQueue();
+        return completion;
+    }
 
-            if (i === sentences.length - 1) {
-                utterance.onend = () => {
-                    this.isSpeaking = false;
-                    this.utteranceQueue = [];
-                    this.currentUtterance = null;
-
-                    if (this.debugMode) {
-                        console.log('TTS: Speech ended event fired');
-                    }
-
-                    // Force animation to stop
-                    if (window.avatar) {
-                        console.log('TTS: Directly stopping avatar animation on speech end');
-                        window.avatar.stopTalking();
-                    }
-
-                    if (this.onEndCallback) this.onEndCallback();
-                };
-            } else {
-                // For other utterances, just queue the next one
-                utterance.onend = () => {
-                    this.speakNextInQueue();
-                };
+    // Queue one sentence; each one moves on to the next when it ends or fails, so an error never stalls the queue
+    queueUtterance(text, displayText, displayOffset) {
+        const speechId = this.speechId;
+        const utterance = this.createUtterance(text, displayText, displayOffset);
+
+        utterance.onstart = () => {
+            if (speechId !== this.speechId || this.isSpeaking) return;
+            this.isSpeaking = true;
+
+            if (this.debugMode) console.log('TTS: Speech started event fired');
+
+            if (window.avatar) window.avatar.startTalking();
+            if (this.onStartCallback) this.onStartCallback();
+        };
+
+        const onDone = () => {
+            // Ignore events of speech that was cancelled by stop(), and a second end of the same sentence
+            if (speechId !== this.speechId || utterance.done) return;
+            utterance.done = true;
+            this.currentUtterance = null;
+
+            if (this.utteranceQueue.length > 0) {
+                this.speakNextInQueue();
+            } else if (!this.streamOpen) {
+                this.finishSpeech();
             }
+            // Otherwise wait for the next streamed sentence to arrive
+        };
 
-            // Add error handler
-            utterance.onerror = (event) => {
-                console.error('TTS: Speech error:', event);
-                if (i === sentences.length - 1 && this.onEndCallback) {
-                    this.onEndCallback();
-                }
-            };
+        utterance.onend = onDone;
+        utterance.onerror = (event) => {
+            console.error('TTS: Speech error, continuing with the next sentence:', event.error || event);
+            onDone();
+        };
+
+        this.utteranceQueue.push(utterance);
+    }
 
-            this.utteranceQueue.push(utterance);
+    // Set up the promise for the speech that is starting, and the watchdog that makes sure it settles
+    beginSpeech() {
+        const completion = new Promise(resolve => {
+            this.resolveSpeech = resolve;
+        });
+        this.startWatchdog();
+        return completion;
+    }
+
+    settleSpeech(completed) {
+        this.stopWatchdog();
+        if (this.resolveSpeech) {
+            const resolve = this.resolveSpeech;
+            this.resolveSpeech = null;
+            resolve(completed);
         }
+    }
 
-        // Start speaking the first utterance
-        this.speakNextInQueue();
+    /**
+     * Speech synthesis events aren't reliable: watch the synth itself while speaking
+     * - a sentence the synth has stopped playing without an end event is treated as ended
+     * - Chrome's online voices stop after ~15 seconds unless speech is paused and resumed now and then
+     */
+    startWatchdog() {
+        this.stopWatchdog();
+        this.lastKeepAliveAt = Date.now();
+
+        this.watchdogTimer = setInterval(() => {
+            if (!this.synth || this.paused) return;
+
+            const utterance = this.currentUtterance;
+            if (utterance && !this.synth.speaking && !this.synth.pending &&
+                Date.now() - utterance.sentAt > this.watchdogGrace) {
+                console.warn('TTS: Sentence finished without an end event, moving on');
+                utterance.onend({ type: 'end', utterance });
+                return;
+            }
 
-        // Sometimes the web speech API doesn't fire events correctly
-        // Set a backup timeout to make sure we switch the animation
-        const wordCount = text.split(' ').length;
-        const estimatedDuration = Math.max(3000, wordCount * 200); // Rough estimate
+            if (this.needsKeepAlive() && this.synth.speaking &&
+                Date.now() - this.lastKeepAliveAt > this.keepAliveInterval) {
+                this.lastKeepAliveAt = Date.now();
+                this.synth.pause();
+                this.synth.resume();
+            }
+        }, this.watchdogInterval);
+    }
 
-        if (this.debugMode) {
-            console.log(`TTS: Setting backup timeout for ${estimatedDuration}ms`);
-        }
+    stopWatchdog() {
+        clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
+    }
 
-        // Start animation immediately as a backup
-        if (window.avatar) {
-            setTimeout(() => {
-                console.log('TTS: Starting animation via backup timeout');
-                window.avatar.startTalking();
-            }, 100);
-        }
+    // Only Chrome's network voices are cut off; local voices and the server's audio aren't
+    needsKeepAlive() {
+        return this.activeBackend === 'browser' && /Chrome/.test(navigator.userAgent) &&
+            !!this.voice && this.voice.localService === false;
+    }
 
-        // Schedule animation stop as a backup
-        setTimeout(() => {
-            if (this.isSpeaking) {
-                console.log('TTS: Still speaking at timeout, keeping animation going');
-            } else {
-                console.log('TTS: Stopping animation via backup timeout');
-                if (window.avatar) window.avatar.stopTalking();
-                this.isSpeaking = false;
+    /**
+     * @param {string} text - Text to speak
+     * @param {string} [displayText] - The same sentence as shown in the bubble, before normalizeForSpeech
+     * @param {number} [displayOffset] - Where the sentence starts in the bubble text
+     */
+    createUtterance(text, displayText = text, displayOffset = 0) {
+        const utterance = new this.Utterance(text);
+        utterance.voice = this.voice;
+        // Lets the browser pick a matching voice even if none was selected
+        utterance.lang = this.voice && this.voice.lang ? this.voice.lang : this.preferredLanguage;
+        utterance.rate = this.defaultRate;
+        utterance.pitch = this.defaultPitch;
+        utterance.volume = this.defaultVolume;
+
+        utterance.displayText = displayText;
+        utterance.displayOffset = displayOffset;
+        utterance.boundarySeen = false;
+        utterance.lastWordIndex = -1;
+
+        const speechId = this.speechId;
+        utterance.onboundary = (event) => {
+            if (speechId !== this.speechId || event.name !== 'word') return;
+
+            // The voice reports its own word timing, the estimate isn't needed anymore
+            if (!utterance.boundarySeen) {
+                utterance.boundarySeen = true;
+                this.stopWordTimer();
             }
-        }, estimatedDuration);
+            this.emitWord(utterance, event.charIndex);
+        };
+
+        return utterance;
+    }
+
+    // Estimate word timing on voices that never fire boundary events, stopping once they do
+    trackWords(utterance) {
+        const onstart = utterance.onstart;
+        const onend = utterance.onend;
+        const onerror = utterance.onerror;
+
+        utterance.onstart = (event) => {
+            if (onstart) onstart(event);
+            if (!utterance.boundarySeen) this.startWordTimer(utterance);
+            if (this.hasAudioLevels()) this.startMouthLevels();
+        };
+        utterance.onend = (event) => {
+            this.stopWordTimer();
+            this.stopMouthLevels();
+            if (onend) onend(event);
+        };
+        utterance.onerror = (event) => {
+            this.stopWordTimer();
+            this.stopMouthLevels();
+            if (onerror) onerror(event);
+        };
+    }
+
+    startWordTimer(utterance) {
+        this.stopWordTimer();
+
+        const speechId = this.speechId;
+        const words = [...utterance.text.matchAll(/\S+/g)];
+        const msPerChar = 60000 / (this.fallbackWordsPerMinute * (utterance.rate || 1)) / 6;
+        let index = 0;
+
+        const next = () => {
+            if (speechId !== this.speechId || utterance.boundarySeen || index >= words.length) return;
+
+            const word = words[index++];
+            this.emitWord(utterance, word.index);
+            // Longer words take longer to say; the space counts as a short pause
+            this.wordTimer = setTimeout(next, (word[0].length + 1) * msPerChar);
+        };
+        next();
+    }
+
+    stopWordTimer() {
+        clearTimeout(this.wordTimer);
+        this.wordTimer = null;
+    }
+
+    // Whether the synth can measure the loudness of what it plays (the server voices can)
+    hasAudioLevels() {
+        return !!this.synth && typeof this.synth.hasLevelMeter === 'function' && this.synth.hasLevelMeter();
+    }
+
+    // Move the avatar's mouth with the loudness of the speech audio
+    startMouthLevels() {
+        this.stopMouthLevels();
+        if (!window.avatar) return;
+
+        this.mouthLevelTimer = setInterval(() => {
+            window.avatar.setMouthLevel(this.synth.getLevel());
+        }, 50);
+    }
+
+    stopMouthLevels() {
+        clearInterval(this.mouthLevelTimer);
+        this.mouthLevelTimer = null;
+    }
+
+    // Report the bubble word matching a position in the spoken text
+    emitWord(utterance, spokenIndex) {
+        // Audio voices drive the avatar's mouth from their loudness instead
+        if (window.avatar && !this.hasAudioLevels()) window.avatar.mouthCue();
+        if (!this.onWordCallback) return;
+
+        const display = utterance.displayText;
+        // Normalization can change the length (expanded acronyms, removed emoji), map proportionally then
+        const position = utterance.text === display
+            ? spokenIndex
+            : Math.round(spokenIndex * display.length / Math.max(1, utterance.text.length));
+
+        const words = [...display.matchAll(/\S+/g)];
+        const word = words.find(match => match.index + match[0].length > position);
+        // Several spoken words can map to one shown word (e.g. "ACS" read as "A C S")
+        if (!word || word.index === utterance.lastWordIndex) return;
+        utterance.lastWordIndex = word.index;
+
+        this.onWordCallback({
+            word: word[0],
+            charIndex: utterance.displayOffset + word.index,
+            charLength: word[0].length
+        });
     }
 
     speakNextInQueue() {
@@ -278,15 +539,177 @@ class TextToSpeech {
                     this.currentUtterance.text.substring(0, 20) +
                     (this.currentUtterance.text.length > 20 ? '...' : ''));
             }
+            this.trackWords(this.currentUtterance);
+            this.currentUtterance.sentAt = Date.now();
             this.synth.speak(this.currentUtterance);
         } else if (this.debugMode) {
             console.log('TTS: Queue empty, speech complete');
         }
     }
 
+    /**
+     * Begin speaking text that arrives incrementally (e.g. a streamed AI reply)
+     * Feed text with appendToStream() and finish with endStream()
+     */
+    startStream(onStart, onEnd) {
+        if (!this.synth) {
+            console.error('TTS: Speech synthesis not available');
+            return Promise.resolve(false);
+        }
+
+        // Cancel any ongoing speech
+        this.stop();
+
+        this.onStartCallback = onStart || this.onStartCallback;
+        this.onEndCallback = onEnd || this.onEndCallback;
+
+        this.streamOpen = true;
+        this.streamBuffer = '';
+        this.spokenText = '';
+        this.streamCursor = 0;
+
+        if (this.debugMode) console.log('TTS: Stream started');
+        return this.beginSpeech();
+    }
+
+    // Add text to the stream, speaking every sentence that is now complete
+    appendToStream(text) {
+        if (!this.streamOpen || !text) return;
+
+        this.streamBuffer += text;
+        this.spokenText += text;
+
+        // The last piece may be an unfinished sentence, keep it for later
+        const sentences = this.splitIntoSentences(this.streamBuffer);
+        this.streamBuffer = sentences.pop();
+
+        sentences.forEach(sentence => this.queueStreamSentence(sentence));
+    }
+
+    // No more text is coming: speak what is left and end once the queue drains
+    endStream() {
+        if (!this.streamOpen) return;
+
+        this.streamOpen = false;
+        const remainder = this.streamBuffer;
+        this.streamBuffer = '';
+
+        if (remainder.trim()) {
+            this.queueStreamSentence(remainder);
+        }
+
+        // Nothing queued or playing (the remainder may have normalized to nothing)
+        if (!this.currentUtterance && this.utteranceQueue.length === 0) {
+            this.finishSpeech();
+        }
+
+        if (this.debugMode) console.log('TTS: Stream ended');
+    }
+
+    queueStreamSentence(sentence) {
+        const display = sentence.trim();
+        const offset = this.spokenText.indexOf(display, this.streamCursor);
+        this.streamCursor = offset + display.length;
+
+        const spoken = this.normalizeForSpeech(display);
+        if (!spoken) return;
+
+        this.queueUtterance(spoken, display, offset);
+
+        // Start right away if nothing is being spoken
+        if (!this.currentUtterance) {
+            this.speakNextInQueue();
+        }
+    }
+
+    // Everything has been said (speak() or a stream)
+    finishSpeech() {
+        this.isSpeaking = false;
+        this.currentUtterance = null;
+        this.spokenTextEndedAt = Date.now();
+
+        if (this.debugMode) console.log('TTS: Speech complete');
+
+        // Settle first, the end callback may already start the next speech
+        this.settleSpeech(true);
+
+        if (window.avatar) window.avatar.stopTalking();
+        if (this.onEndCallback) this.onEndCallback();
+    }
+
+    /**
+     * Turn display text into text the voice can read naturally
+     * Strips Markdown, URLs and emoji, then applies the pronunciation lexicon
+     * @param {string} text - Text as shown in the speech bubble
+     * @returns {string} Text to speak
+     */
+    normalizeForSpeech(text) {
+        let spoken = text
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')                 // [label](url) -> label
+            .replace(/\b(?:https?:\/\/|www\.)\S+/gi, '')               // Bare URLs
+            .replace(/```[\s\S]*?```/g, '')                           // Code blocks
+            .replace(/`([^`]*)`/g, '$1')                              // Inline code
+            .replace(/^\s{0,3}#{1,6}\s+/gm, '')                       // Headings
+            .replace(/^\s*[-*+•]\s+/gm, '')                           // List bullets
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')                       // Bold
+            .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?!\w)/g, '$1$2')     // Italic
+            .replace(/[*_~]{2,}/g, '')                                // Leftover emphasis markers
+            .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\uFE0F\u200D\u20E3]/gu, '')  // Emoji
+            .replace(/([^\s.!?:;,؟،])[ \t]*\n+\s*/g, '$1, ')            // Line breaks become pauses
+            .replace(/\s+/g, ' ')
+            .replace(/\s+([.!?,;:؟،])/g, '$1')                        // Space left before punctuation
+            .trim();
+
+        const language = (this.preferredLanguage || 'en').split('-')[0];
+        const entries = [...(this.lexicon.all || []), ...(this.lexicon[language] || [])];
+
+        entries.forEach(entry => {
+            const pattern = entry.term
+                ? new RegExp(`(?<![\\p{L}\\p{N}])${entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'gu')
+                : new RegExp(entry.pattern, 'gu');
+            spoken = spoken.replace(pattern, entry.say);
+        });
+
+        return spoken;
+    }
+
+    /**
+     * Add or replace pronunciation lexicon entries
+     * @param {string} language - Language code ('en', 'fr', 'ar') or 'all'
+     * @param {Array<{term?: string, pattern?: string, say: string}>} entries
+     */
+    setLexicon(language, entries) {
+        const existing = (this.lexicon[language] || []).filter(entry =>
+            !entries.some(added => (added.term || added.pattern) === (entry.term || entry.pattern)));
+        this.lexicon[language] = [...entries, ...existing];
+
+        if (this.debugMode) console.log(`TTS: Lexicon for "${language}" now has ${this.lexicon[language].length} entries`);
+    }
+
     splitIntoSentences(text) {
         // Split on sentence boundaries while keeping punctuation
-        return text.split(/(?<=[.!?])\s+/);
+        return text.split(/(?<=[.!?؟])\s+/);
+    }
+
+    /**
+     * Check whether recognized text is just the kiosk hearing its own voice
+     * Compares against the reply being spoken (or the one that just finished)
+     * @param {string} transcript - Recognized text
+     * @returns {boolean} True if most of the transcript's words are in the spoken text
+     */
+    isEcho(transcript) {
+        const recent = this.isSpeaking || Date.now() - this.spokenTextEndedAt < this.echoWindow;
+        if (!recent || !this.spokenText || !transcript) return false;
+
+        const normalize = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        const spokenWords = new Set(normalize(this.spokenText));
+        const heardWords = normalize(transcript);
+        if (heardWords.length === 0) return false;
+
+        const overlap = heardWords.filter(word => spokenWords.has(word)).length / heardWords.length;
+        if (this.debugMode) console.log(`TTS: Echo check overlap ${overlap.toFixed(2)} for "${transcript}"`);
+
+        return overlap >= 0.7;
     }
 
     stop() {
@@ -298,6 +721,14 @@ class TextToSpeech {
             this.isSpeaking = false;
             this.utteranceQueue = [];
             this.currentUtterance = null;
+            this.streamOpen = false;
+            this.streamBuffer = '';
+            this.stopWordTimer();
+            this.stopMouthLevels();
+            this.paused = false;
+            this.speechId++;
+            this.spokenTextEndedAt = Date.now();
+            this.settleSpeech(false);
 
             // Make sure animation stops
             if (window.avatar) {
@@ -310,6 +741,7 @@ class TextToSpeech {
     pause() {
         if (this.synth && this.isSpeaking) {
             this.synth.pause();
+            this.paused = true;
             if (this.debugMode) console.log('TTS: Speech paused');
 
             // Optionally pause animation too
@@ -322,6 +754,7 @@ class TextToSpeech {
     resume() {
         if (this.synth) {
             this.synth.resume();
+            this.paused = false;
             if (this.debugMode) console.log('TTS: Speech resumed');
 
             // Resume animation too
@@ -336,6 +769,15 @@ class TextToSpeech {
         this.onEndCallback = onEnd;
     }
 
+    /**
+     * Be told which word of the displayed text is being spoken
+     * @param {Function} callback - Receives { word, charIndex, charLength }, with charIndex into the
+     * text passed to speak() (or everything appended to the stream)
+     */
+    setWordCallback(callback) {
+        this.onWordCallback = callback;
+    }
+
     setDebugMode(enabled) {
         this.debugMode = enabled;
         console.log(`TTS: Debug mode ${enabled ? 'enabled' : 'disabled'}`);
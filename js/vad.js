@@ -0,0 +1,184 @@
+/**
+ * Voice activity detection with the Web Audio API
+ * Measures the microphone level, calibrates the hall's noise floor and tells speech from background noise
+ */
+class VoiceActivityDetector {
+    constructor() {
+        this.audioContext = null;
+        this.analyser = null;
+        this.source = null;
+        this.stream = null;
+        this.samples = null;
+        this.sampleTimer = null;
+        this.sampleInterval = 50;         // Time in ms between level measurements
+
+        this.level = -100;                // Current mic level in dBFS
+        this.noiseFloor = null;           // Ambient level in dBFS, null until calibrated
+        this.calibrationTime = 2000;      // Time in ms of audio used to measure the noise floor
+        this.calibrationLevels = [];
+        this.speechMargin = 12;           // dB above the noise floor that counts as voice
+        this.noiseAdaptRate = 0.02;       // How quickly the noise floor follows a changing hall
+        this.noisyFloor = -45;            // Noise floors above this dBFS count as a noisy environment
+        this.voiceHangover = 300;         // Time in ms voice stays "active" after the level drops
+        this.lastVoiceAt = 0;             // Timestamp of the last sample above the silence level
+
+        this.debugMode = true;
+
+        // Callback functions for the main app to use
+        this.onLevelCallback = null;
+        this.onCalibratedCallback = null;
+
+        this.isSupported = !!(window.AudioContext || window.webkitAudioContext) &&
+            !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    /**
+     * Open the microphone and start measuring; calibration runs on the first seconds of audio
+     * @returns {Promise<boolean>} Whether monitoring started
+     */
+    async start() {
+        if (!this.isSupported) return false;
+        if (this.stream) return true;
+
+        try {
+            this.stream = await window.microphone.getStream();
+
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = new AudioContext();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.samples = new Float32Array(this.analyser.fftSize);
+
+            this.source = this.audioContext.createMediaStreamSource(this.stream);
+            this.source.connect(this.analyser);
+
+            // Browsers keep an audio context suspended until the page has been interacted with
+            if (this.audioContext.state === 'suspended') {
+                const resume = () => {
+                    if (this.audioContext) this.audioContext.resume();
+                };
+                document.addEventListener('click', resume, { once: true });
+            }
+
+            this.noiseFloor = null;
+            this.calibrationLevels = [];
+            this.sampleTimer = setInterval(() => this.sample(), this.sampleInterval);
+
+            if (this.debugMode) console.log('VAD: Microphone monitoring started');
+            return true;
+        } catch (error) {
+            console.error('VAD: Could not start microphone monitoring:', error);
+            this.stop();
+            return false;
+        }
+    }
+
+    stop() {
+        if (this.sampleTimer) {
+            clearInterval(this.sampleTimer);
+            this.sampleTimer = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.analyser = null;
+        this.source = null;
+        this.level = -100;
+    }
+
+    isActive() {
+        return this.stream !== null;
+    }
+
+    // Measure the current RMS level and update calibration and the noise floor
+    sample() {
+        if (!this.analyser || this.audioContext.state !== 'running') return;
+
+        this.analyser.getFloatTimeDomainData(this.samples);
+        const sumOfSquares = this.samples.reduce((sum, value) => sum + value * value, 0);
+        const rms = Math.sqrt(sumOfSquares / this.samples.length);
+        this.level = Math.max(-100, 20 * Math.log10(rms || 1e-5));
+
+        // The kiosk's own voice says nothing about the hall, so it doesn't count toward the noise floor
+        const kioskSpeaking = window.tts && window.tts.isSpeaking;
+
+        if (this.noiseFloor === null) {
+            if (!kioskSpeaking) this.calibrate();
+        } else {
+            const isVoice = this.level > this.getSilenceLevel();
+            if (isVoice) this.lastVoiceAt = Date.now();
+
+            // Follow changes in the hall's background noise, much more slowly while someone may be speaking
+            // so a crowd that stays loud is eventually treated as the new floor
+            if (!kioskSpeaking) {
+                const rate = isVoice ? this.noiseAdaptRate / 10 : this.noiseAdaptRate;
+                this.noiseFloor += (this.level - this.noiseFloor) * rate;
+            }
+        }
+
+        if (this.onLevelCallback) this.onLevelCallback(this.getNormalizedLevel(), this.isVoiceActive());
+    }
+
+    calibrate() {
+        this.calibrationLevels.push(this.level);
+        if (this.calibrationLevels.length * this.sampleInterval < this.calibrationTime) return;
+
+        // The median ignores a door slam or a passing voice during calibration
+        const sorted = [...this.calibrationLevels].sort((a, b) => a - b);
+        this.noiseFloor = sorted[Math.floor(sorted.length / 2)];
+        this.calibrationLevels = [];
+
+        if (this.debugMode) console.log(`VAD: Noise floor calibrated at ${this.noiseFloor.toFixed(1)} dBFS${this.isNoisy() ? ' (noisy)' : ''}`);
+        if (this.onCalibratedCallback) this.onCalibratedCallback(this.noiseFloor, this.isNoisy());
+    }
+
+    // Re-measure the noise floor, e.g. when the hall fills up
+    recalibrate() {
+        this.noiseFloor = null;
+        this.calibrationLevels = [];
+    }
+
+    isCalibrated() {
+        return this.noiseFloor !== null;
+    }
+
+    // Level in dBFS below which the microphone is considered silent
+    getSilenceLevel() {
+        return this.noiseFloor === null ? -50 : this.noiseFloor + this.speechMargin;
+    }
+
+    isNoisy() {
+        return this.noiseFloor !== null && this.noiseFloor > this.noisyFloor;
+    }
+
+    isVoiceActive() {
+        return this.isCalibrated() && Date.now() - this.lastVoiceAt < this.voiceHangover;
+    }
+
+    /**
+     * Whether voice was heard since a given time, used to tell real misses from silence
+     * @param {number} since - Timestamp in ms
+     */
+    hasVoiceSince(since) {
+        return this.lastVoiceAt >= since;
+    }
+
+    // Level from 0 (at the noise floor) to 1 (loud speech), for the mic meter
+    getNormalizedLevel() {
+        const floor = this.noiseFloor === null ? -70 : this.noiseFloor;
+        return Math.min(1, Math.max(0, (this.level - floor) / 40));
+    }
+
+    setCallbacks(onLevel, onCalibrated) {
+        this.onLevelCallback = onLevel;
+        this.onCalibratedCallback = onCalibrated;
+    }
+}
+
+// Export as global variable
+window.vad = new VoiceActivityDetector();
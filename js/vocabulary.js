@@ -0,0 +1,90 @@
+/**
+ * Domain vocabulary for speech recognition
+ * Provides grammar hints for the recognizer and corrects common misrecognitions of names and acronyms
+ */
+class DomainVocabulary {
+    constructor(url = 'data/vocabulary.json') {
+        this.url = url;
+        this.terms = [];           // Names and phrases visitors are likely to say at the stand
+        this.corrections = [];     // { pattern: RegExp, replacement } applied to every transcript
+        this.debugMode = true;
+    }
+
+    // Load the lexicon and correction table
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`Vocabulary load error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.terms = (data.terms || []).filter(term => typeof term === 'string' && term.trim());
+            this.corrections = (data.corrections || []).reduce((corrections, entry) => {
+                try {
+                    corrections.push({
+                        pattern: new RegExp(entry.pattern, entry.flags || 'giu'),
+                        replacement: entry.replacement
+                    });
+                } catch (error) {
+                    console.error(`Vocabulary: Invalid correction pattern "${entry.pattern}":`, error);
+                }
+                return corrections;
+            }, []);
+
+            if (this.debugMode) console.log(`Vocabulary: Loaded ${this.terms.length} terms and ${this.corrections.length} corrections`);
+            return true;
+        } catch (error) {
+            console.error('Vocabulary: Could not load vocabulary file:', error);
+            return false;
+        }
+    }
+
+    // Every word used in the lexicon, lowercased and without accents
+    getWords() {
+        const words = new Set();
+        this.terms.forEach(term => {
+            (window.textMatching.normalize(term).match(/[\p{L}\p{N}]+/gu) || []).forEach(word => words.add(word));
+        });
+        return words;
+    }
+
+    /**
+     * Fix known misrecognitions in a transcript
+     * @param {string} text - The recognized transcript
+     * @returns {string} The transcript with domain terms restored
+     */
+    correct(text) {
+        let corrected = this.corrections.reduce(
+            (result, correction) => result.replace(correction.pattern, correction.replacement), text);
+
+        corrected = this.correctFuzzy(corrected);
+
+        if (this.debugMode && corrected !== text) console.log(`Vocabulary: Corrected "${text}" to "${corrected}"`);
+        return corrected;
+    }
+
+    // Replace words one or two typos away from a long proper name ("marrakesh" -> "Marrakech")
+    correctFuzzy(text) {
+        // Only capitalized single-word names, so ordinary words like "values" are never rewritten
+        const candidates = this.terms.filter(term => !/\s/.test(term) && term.length >= 6 && /^\p{Lu}/u.test(term));
+        if (candidates.length === 0) return text;
+
+        return text.replace(/[\p{L}\p{N}]+/gu, word => {
+            if (word.length < 6) return word;
+
+            const matching = window.textMatching;
+            const normalized = matching.normalize(word);
+            for (const term of candidates) {
+                const maxDistance = term.length >= 8 ? 2 : 1;
+                if (matching.editDistance(normalized, matching.normalize(term)) <= maxDistance) {
+                    return term;
+                }
+            }
+            return word;
+        });
+    }
+}
+
+// Export as global variable
+window.vocabulary = new DomainVocabulary();
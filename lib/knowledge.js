@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+// BM25 tuning parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to help ranking (English and French)
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'me', 'of', 'on', 'or', 'tell', 'that', 'the', 'this', 'to', 'what', 'where', 'which',
+  'who', 'with', 'you', 'your', 'about',
+  'au', 'avec', 'ce', 'de', 'des', 'du', 'en', 'est', 'et', 'la', 'le', 'les', 'un', 'une', 'pour', 'que', 'qui', 'quoi'
+]);
+
+// Accents are stripped so "données" and a recognizer's "donnees" match
+function tokenize(text) {
+  return (text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+// Split a Markdown document into one passage per heading section
+// "<!-- keywords: ... -->" lines are searchable but not part of the passage text,
+// e.g. to let French and Arabic questions find English sections
+function parseMarkdown(content, file) {
+  const passages = [];
+  let title = path.basename(file, path.extname(file));
+  let lines = [];
+  let keywords = [];
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) passages.push({ title, text, keywords: keywords.join(' ') });
+    lines = [];
+    keywords = [];
+  };
+
+  content.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const keywordLine = line.match(/^\s*<!--\s*keywords:(.*?)-->\s*$/i);
+    if (heading) {
+      flush();
+      title = heading[1].trim();
+    } else if (keywordLine) {
+      keywords.push(keywordLine[1].trim());
+    } else {
+      lines.push(line);
+    }
+  });
+  flush();
+
+  return passages;
+}
+
+// JSON documents are an array of { title, text, keywords? } entries
+function parseJson(content, file) {
+  const entries = JSON.parse(content);
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain an array of { "title", "text" } entries`);
+  }
+
+  return entries
+    .filter(entry => entry && typeof entry.text === 'string' && entry.text.trim())
+    .map(entry => ({
+      title: entry.title || path.basename(file, '.json'),
+      text: entry.text.trim(),
+      keywords: typeof entry.keywords === 'string' ? entry.keywords : ''
+    }));
+}
+
+/**
+ * Keyword search over the Markdown/JSON documents in a folder, ranked with BM25
+ */
+class KnowledgeBase {
+  constructor(directory) {
+    this.directory = directory;
+    this.passages = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+  }
+
+  // (Re)read every document in the folder and rebuild the index
+  load() {
+    const passages = [];
+
+    if (!fs.existsSync(this.directory)) {
+      console.warn(`Knowledge folder not found: ${this.directory}`);
+    } else {
+      fs.readdirSync(this.directory).sort().forEach(file => {
+        const ext = path.extname(file).toLowerCase();
+        if (ext !== '.md' && ext !== '.json') return;
+
+        try {
+          const content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+          const parsed = ext === '.md' ? parseMarkdown(content, file) : parseJson(content, file);
+          parsed.forEach(passage => {
+            passages.push({ ...passage, source: `${file}#${passage.title}` });
+          });
+        } catch (err) {
+          console.error(`Error indexing knowledge file ${file}:`, err.message);
+        }
+      });
+    }
+
+    this.passages = passages.map(passage => {
+      const tokens = tokenize(`${passage.title} ${passage.keywords} ${passage.text}`);
+      const termFrequency = new Map();
+      tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+      return { ...passage, length: tokens.length, termFrequency };
+    });
+
+    this.documentFrequency = new Map();
+    this.passages.forEach(passage => {
+      passage.termFrequency.forEach((count, token) => {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      });
+    });
+
+    const totalLength = this.passages.reduce((sum, passage) => sum + passage.length, 0);
+    this.averageLength = this.passages.length ? totalLength / this.passages.length : 0;
+
+    console.log(`Knowledge base indexed ${this.passages.length} passages from ${this.directory}`);
+    return this.passages.length;
+  }
+
+  /**
+   * Find the passages that best match a query
+   * @param {string} query - Free-text question
+   * @param {number} [limit=3] - Maximum number of passages to return
+   * @returns {Array<{source: string, title: string, text: string, score: number}>}
+   */
+  search(query, limit = 3) {
+    const terms = [...new Set(tokenize(query || ''))];
+    if (terms.length === 0 || this.passages.length === 0) return [];
+
+    const total = this.passages.length;
+
+    return this.passages
+      .map(passage => {
+        let score = 0;
+        terms.forEach(term => {
+          const frequency = passage.termFrequency.get(term);
+          if (!frequency) return;
+
+          const df = this.documentFrequency.get(term);
+          const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+          const norm = frequency + K1 * (1 - B + B * passage.length / this.averageLength);
+          score += idf * (frequency * (K1 + 1)) / norm;
+        });
+        return { source: passage.source, title: passage.title, text: passage.text, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * The opening passage of each document, for questions no keyword matches
+   * (e.g. French or Arabic questions against English documents)
+   * @param {number} [limit=3] - Maximum number of passages to return
+   * @returns {Array<{source: string, title: string, text: string, score: number}>}
+   */
+  overview(limit = 3) {
+    const seen = new Set();
+
+    return this.passages
+      .filter(passage => {
+        const file = passage.source.split('#')[0];
+        if (seen.has(file)) return false;
+        seen.add(file);
+        return true;
+      })
+      .slice(0, limit)
+      .map(passage => ({ source: passage.source, title: passage.title, text: passage.text, score: 0 }));
+  }
+}
+
+module.exports = { KnowledgeBase, tokenize };
\ No newline at end of file
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Locales look like "en" or "en-US"; anything else is dropped before reaching the shell
+function sanitizeLanguage(language) {
+  return /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language || '') ? language : '';
+}
+
+// File extension for an uploaded recording, from its MIME type
+function audioExtension(mimeType) {
+  const match = (mimeType || '').match(/^audio\/(?:x-)?(webm|ogg|wav|mp4|mpeg)/);
+  return match ? match[1] : 'webm';
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Fill the {placeholder}s of a command template with shell-quoted values
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] !== undefined ? shellQuote(values[name]) : match);
+}
+
+// Run a shell command, optionally writing input to its stdin
+function runCommand(command, timeout, input) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('/bin/sh', ['-c', command], { timeout, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = `${err.message.trim()}${stderr ? `: ${stderr.toString().trim()}` : ''}`;
+        return reject(err);
+      }
+      resolve(stdout.toString());
+    });
+
+    // Commands that don't read stdin may close it early, which isn't an error
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Speech-to-text engine that runs a local command line tool on each recording
+ *
+ * The command is a shell template, e.g. for whisper.cpp:
+ *   ffmpeg -loglevel error -i {input} -ar 16000 -ac 1 -f wav - | whisper-cli -m models/ggml-base.bin -l {lang} -nt -f -
+ * {input} is the uploaded audio file, {language} the recognition locale ("fr-FR") and {lang} its
+ * language part ("fr"). Whatever the command prints on stdout is the transcript.
+ *
+ * Other engines only need the same isConfigured() and transcribe() methods.
+ */
+class CommandTranscriber {
+  constructor(command, { timeout = 30000 } = {}) {
+    this.command = command || '';
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!this.command;
+  }
+
+  /**
+   * Transcribe one recording
+   * @param {Buffer} audio - Recorded audio, as uploaded by the kiosk
+   * @param {Object} [options]
+   * @param {string} [options.language] - Recognition locale, e.g. "en-US"
+   * @param {string} [options.mimeType] - MIME type of the recording
+   * @returns {Promise<{text: string}>}
+   */
+  async transcribe(audio, { language, mimeType } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('No speech recognition command configured');
+    }
+
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'kiosk-stt-'));
+    const input = path.join(directory, `recording.${audioExtension(mimeType)}`);
+
+    try {
+      await fs.promises.writeFile(input, audio);
+
+      const locale = sanitizeLanguage(language);
+      const output = await runCommand(fillTemplate(this.command, {
+        input,
+        language: locale,
+        lang: locale.split('-')[0]
+      }), this.timeout);
+
+      // Collapse line breaks and drop any [timestamp] markers the engine printed
+      const text = output
+        .replace(/\[[^\]]*-->[^\]]*\]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      return { text };
+    } finally {
+      fs.promises.rm(directory, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Text-to-speech engine that runs a local command line tool for each sentence
+ *
+ * The command is a shell template that reads the text on stdin and writes audio to {output}, e.g.
+ *   piper --model voices/{voice}.onnx --length_scale {lengthScale} --output_file {output}
+ *   espeak-ng -v {lang} -s {wordsPerMinute} --stdin -w {output}
+ * {voice} is the voice name for the requested language (see voices), {language} the locale ("fr-FR"),
+ * {lang} its language part ("fr"), {rate} the speaking rate (1 = normal), {lengthScale} its inverse
+ * and {wordsPerMinute} the rate for espeak.
+ *
+ * Other engines only need the same isConfigured(), getVoices() and synthesize() methods.
+ */
+class CommandSynthesizer {
+  /**
+   * @param {string} command - Command template
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.voices] - Voice name per locale, e.g. { "en-US": "en_US-amy-medium" }
+   * @param {string} [options.mimeType] - MIME type of the audio the command writes
+   * @param {number} [options.timeout] - Time in ms before the command is killed
+   */
+  constructor(command, { voices = {}, mimeType = 'audio/wav', timeout = 20000 } = {}) {
+    this.command = command || '';
+    this.voices = voices;
+    this.mimeType = mimeType;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!this.command;
+  }
+
+  // Voices the kiosk can choose from, shaped like browser speech synthesis voices
+  getVoices() {
+    return Object.entries(this.voices).map(([lang, name], index) => ({ name, lang, default: index === 0 }));
+  }
+
+  // The requested voice if it is one of ours, otherwise the voice configured for the language
+  resolveVoice(voice, language) {
+    const names = Object.values(this.voices);
+    if (names.includes(voice)) return voice;
+
+    const entry = Object.entries(this.voices).find(([lang]) =>
+      lang === language || lang.split('-')[0] === language.split('-')[0]);
+    return entry ? entry[1] : '';
+  }
+
+  /**
+   * Render text to audio
+   * @param {string} text - Text to speak
+   * @param {Object} [options]
+   * @param {string} [options.voice] - Voice name from getVoices()
+   * @param {string} [options.language] - Locale, e.g. "fr-FR"
+   * @param {number} [options.rate] - Speaking rate, 1 is normal
+   * @returns {Promise<{audio: Buffer, mimeType: string}>}
+   */
+  async synthesize(text, { voice, language, rate = 1 } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('No speech synthesis command configured');
+    }
+
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'kiosk-tts-'));
+    const output = path.join(directory, 'speech');
+
+    try {
+      const locale = sanitizeLanguage(language);
+      const speed = Math.min(Math.max(Number(rate) || 1, 0.5), 2);
+
+      await runCommand(fillTemplate(this.command, {
+        output,
+        voice: this.resolveVoice(voice, locale),
+        language: locale,
+        lang: locale.split('-')[0],
+        rate: speed,
+        lengthScale: Math.round(100 / speed) / 100,
+        wordsPerMinute: Math.round(175 * speed)
+      }), this.timeout, text);
+
+      return { audio: await fs.promises.readFile(output), mimeType: this.mimeType };
+    } finally {
+      fs.promises.rm(directory, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = { CommandTranscriber, CommandSynthesizer };
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+// Replies where the AI hands the visitor over to the stand staff (EN/FR/AR)
+const HANDOFF_PATTERNS = [
+  /one of our (people|team)/i,
+  /speak to (someone|a person|our team)/i,
+  /l'un de nos collaborateurs|notre équipe sur le stand/i,
+  /أحد أعضاء فريقنا/
+];
+
+function isHandoffReply(text) {
+  return HANDOFF_PATTERNS.some(pattern => pattern.test(text || ''));
+}
+
+// Group questions that only differ by case or punctuation
+function normalizeQuestion(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Local hour bucket, e.g. "2025-04-14 10:00"
+function hourKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:00`;
+}
+
+// A posted session that can't be stored; its message is safe to send back to the client
+class TranscriptValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptValidationError';
+  }
+}
+
+/**
+ * Append-only JSONL store of visitor session transcripts
+ */
+class TranscriptStore {
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Validate a session posted by the kiosk and append it as one JSON line
+   * @returns {Promise<Object>} The stored record
+   */
+  async append(session) {
+    if (!session || typeof session.id !== 'string' || !Array.isArray(session.turns)) {
+      throw new TranscriptValidationError('Session must have a string "id" and a "turns" array');
+    }
+
+    const invalidTurn = session.turns.findIndex(turn => !turn || typeof turn !== 'object' || Array.isArray(turn));
+    if (invalidTurn !== -1) {
+      throw new TranscriptValidationError(`Turn ${invalidTurn} must be an object`);
+    }
+
+    const record = {
+      id: session.id,
+      startTime: Number(session.startTime) || null,
+      endTime: Number(session.endTime) || null,
+      endReason: session.endReason || null,
+      language: session.language || null,
+      turns: session.turns.map(turn => ({
+        timestamp: Number(turn.timestamp) || null,
+        user: String(turn.user || ''),
+        confidence: typeof turn.confidence === 'number' ? turn.confidence : null,
+        ai: String(turn.ai || ''),
+        sources: Array.isArray(turn.sources) ? turn.sources : [],
+        latency: turn.latency || {}
+      })),
+      receivedAt: Date.now()
+    };
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, JSON.stringify(record) + '\n');
+    return record;
+  }
+
+  async readAll() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    return content.split('\n').filter(Boolean).reduce((sessions, line) => {
+      try {
+        sessions.push(JSON.parse(line));
+      } catch (err) {
+        console.warn('Skipping unreadable transcript line');
+      }
+      return sessions;
+    }, []);
+  }
+
+  /**
+   * Summarize the stored sessions
+   * @param {number} [topCount=10] - How many top questions to report
+   */
+  async analytics(topCount = 10) {
+    const sessions = await this.readAll();
+
+    const sessionsPerHour = {};
+    const questionCounts = new Map();
+    let totalDuration = 0;
+    let timedSessions = 0;
+    let totalTurns = 0;
+    let handoffs = 0;
+
+    sessions.forEach(session => {
+      if (session.startTime) {
+        const key = hourKey(session.startTime);
+        sessionsPerHour[key] = (sessionsPerHour[key] || 0) + 1;
+      }
+
+      if (session.startTime && session.endTime && session.endTime >= session.startTime) {
+        totalDuration += session.endTime - session.startTime;
+        timedSessions++;
+      }
+
+      session.turns.forEach(turn => {
+        totalTurns++;
+        if (isHandoffReply(turn.ai)) handoffs++;
+
+        const question = normalizeQuestion(turn.user);
+        if (question) questionCounts.set(question, (questionCounts.get(question) || 0) + 1);
+      });
+    });
+
+    const topQuestions = [...questionCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topCount)
+      .map(([question, count]) => ({ question, count }));
+
+    return {
+      totalSessions: sessions.length,
+      totalTurns,
+      sessionsPerHour,
+      averageSessionLengthSeconds: timedSessions ? Math.round(totalDuration / timedSessions / 100) / 10 : 0,
+      topQuestions,
+      handoffFallback: {
+        count: handoffs,
+        rate: totalTurns ? Math.round(handoffs / totalTurns * 1000) / 1000 : 0
+      }
+    };
+  }
+}
+
+module.exports = { TranscriptStore, TranscriptValidationError, isHandoffReply };
\ No newline at end of file
@@ -3,11 +3,281 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const { KnowledgeBase } = require('./lib/knowledge');
+const { TranscriptStore, TranscriptValidationError } = require('./lib/transcripts');
+const { CommandTranscriber, CommandSynthesizer } = require('./lib/speech');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
 
+// Gemini settings - the API key stays on the server, never in the browser
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const GEMINI_UPSTREAM_URL = process.env.GEMINI_UPSTREAM_URL ||
+  'https://generativelanguage.googleapis.com/v1/models/gemini-2.0-flash';
+
+if (!GEMINI_API_KEY) {
+  console.warn('GEMINI_API_KEY is not set. /api/chat requests will be forwarded without a key.');
+}
+
+// Local knowledge base the kiosk retrieves facts from
+const knowledgeBase = new KnowledgeBase(process.env.KNOWLEDGE_DIR || path.join(__dirname, 'knowledge'));
+knowledgeBase.load();
+
+// Visitor session transcripts, one JSON line per session
+const TRANSCRIPTS_FILE = path.resolve(process.env.TRANSCRIPTS_FILE || path.join(__dirname, 'logs', 'sessions.jsonl'));
+const transcripts = new TranscriptStore(TRANSCRIPTS_FILE);
+
+// What the static handler must never serve: the transcripts folder, or just the file if it sits in the root
+const PRIVATE_PATH = path.dirname(TRANSCRIPTS_FILE) === __dirname ? TRANSCRIPTS_FILE : path.dirname(TRANSCRIPTS_FILE);
+
+// Resolve a URL path the way express.static does (decode, then normalize) and check it against PRIVATE_PATH,
+// so encoded or dotted spellings of "/logs" are caught too
+function isPrivateStaticPath(urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (err) {
+    return true;
+  }
+
+  // Compared case-insensitively for case-insensitive file systems
+  const file = path.join(__dirname, path.normalize('.' + path.sep + decoded)).toLowerCase();
+  const privatePath = PRIVATE_PATH.toLowerCase();
+  return file === privatePath || file.startsWith(privatePath + path.sep);
+}
+
+// Server-side speech recognition for browsers without the Web Speech API (see lib/speech.js)
+const transcriber = new CommandTranscriber(process.env.STT_COMMAND, {
+  timeout: parseInt(process.env.STT_TIMEOUT, 10) || 30000
+});
+
+// Server-side speech synthesis, for consistent voices on every kiosk machine (see lib/speech.js)
+let ttsVoices = {};
+try {
+  ttsVoices = JSON.parse(process.env.TTS_VOICES || '{}');
+} catch (err) {
+  console.error('TTS_VOICES must be a JSON object of locale to voice name:', err.message);
+}
+const synthesizer = new CommandSynthesizer(process.env.TTS_COMMAND, {
+  voices: ttsVoices,
+  mimeType: process.env.TTS_MIME_TYPE || 'audio/wav',
+  timeout: parseInt(process.env.TTS_TIMEOUT, 10) || 20000
+});
+
+// Parse JSON request bodies for the API routes
+app.use(express.json({ limit: '1mb' }));
+
+// Validate a chat request body and forward it to a Gemini method
+// Returns null (after sending a 400) when the body is invalid
+function forwardToGemini(method, req, res, signal) {
+  const { contents, generationConfig, systemInstruction } = req.body || {};
+
+  if (!Array.isArray(contents) || contents.length === 0) {
+    res.status(400).json({ error: 'Request body must include a non-empty "contents" array' });
+    return null;
+  }
+
+  return fetch(`${GEMINI_UPSTREAM_URL}:${method}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': GEMINI_API_KEY
+    },
+    body: JSON.stringify({ contents, generationConfig, systemInstruction }),
+    signal
+  });
+}
+
+// Proxy chat requests to Gemini so the kiosk page never sees the API key
+app.post('/api/chat', async (req, res) => {
+  try {
+    const upstream = await forwardToGemini('generateContent', req, res);
+    if (!upstream) return;
+
+    const text = await upstream.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      data = { error: text };
+    }
+
+    if (!upstream.ok) {
+      console.error(`Gemini upstream error (${upstream.status}):`, data);
+    }
+
+    res.status(upstream.status).json(data);
+  } catch (err) {
+    console.error('Error forwarding chat request to Gemini:', err);
+    res.status(502).json({ error: 'Could not reach the Gemini API' });
+  }
+});
+
+// Streaming variant: relays Gemini's server-sent events as they arrive
+app.post('/api/chat/stream', async (req, res) => {
+  // Stop the upstream request if the kiosk page goes away mid-stream
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const upstream = await forwardToGemini('streamGenerateContent?alt=sse', req, res, controller.signal);
+    if (!upstream) return;
+
+    if (!upstream.ok) {
+      const errorText = await upstream.text();
+      console.error(`Gemini upstream stream error (${upstream.status}):`, errorText);
+      return res.status(upstream.status).json({ error: errorText });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+    res.end();
+  } catch (err) {
+    if (controller.signal.aborted) return;
+
+    console.error('Error streaming chat response from Gemini:', err);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(502).json({ error: 'Could not reach the Gemini API' });
+    }
+  }
+});
+
+// Search the knowledge base for passages relevant to a visitor question
+app.get('/api/knowledge/search', (req, res) => {
+  const query = (req.query.q || '').toString();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 3, 1), 10);
+
+  if (!query.trim()) {
+    return res.status(400).json({ error: 'Missing "q" query parameter' });
+  }
+
+  // Keywords only match the documents' language, so other questions get the general passages instead
+  const results = knowledgeBase.search(query, limit);
+  if (results.length === 0) {
+    return res.json({ results: knowledgeBase.overview(limit), fallback: true });
+  }
+
+  res.json({ results });
+});
+
+// Re-read the knowledge folder after documents were edited
+app.post('/api/knowledge/reload', (req, res) => {
+  const passages = knowledgeBase.load();
+  res.json({ passages });
+});
+
+// Store the transcript of a finished visitor session
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const record = await transcripts.append(req.body);
+    res.status(201).json({ id: record.id, turns: record.turns.length });
+  } catch (err) {
+    if (err instanceof TranscriptValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error storing session transcript:', err);
+    res.status(500).json({ error: 'Could not store the session transcript' });
+  }
+});
+
+// Usage statistics computed from the stored transcripts
+app.get('/api/analytics', async (req, res) => {
+  try {
+    res.json(await transcripts.analytics());
+  } catch (err) {
+    console.error('Error computing analytics:', err);
+    res.status(500).json({ error: 'Could not compute analytics' });
+  }
+});
+
+// Transcribe a recording uploaded by the kiosk (raw audio body, locale in ?lang=)
+app.post('/api/stt', express.raw({ type: ['audio/*', 'application/octet-stream'], limit: '10mb' }), async (req, res) => {
+  if (!transcriber.isConfigured()) {
+    return res.status(503).json({ error: 'Server speech recognition is not configured (set STT_COMMAND)' });
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Request body must be the recorded audio' });
+  }
+
+  try {
+    const result = await transcriber.transcribe(req.body, {
+      language: (req.query.lang || '').toString(),
+      mimeType: req.get('Content-Type')
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Error transcribing audio:', err.message);
+    res.status(502).json({ error: 'Speech recognition failed' });
+  }
+});
+
+// Render a sentence to audio with the local speech synthesis engine
+app.post('/api/tts', async (req, res) => {
+  if (!synthesizer.isConfigured()) {
+    return res.status(503).json({ error: 'Server speech synthesis is not configured (set TTS_COMMAND)' });
+  }
+
+  const { text, lang, voice, rate } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Request body must include a non-empty "text" string' });
+  }
+  if (text.length > 2000) {
+    return res.status(400).json({ error: '"text" must be at most 2000 characters' });
+  }
+
+  try {
+    const { audio, mimeType } = await synthesizer.synthesize(text, {
+      voice: typeof voice === 'string' ? voice : '',
+      language: typeof lang === 'string' ? lang : '',
+      rate
+    });
+    res.type(mimeType).send(audio);
+  } catch (err) {
+    console.error('Error synthesizing speech:', err.message);
+    res.status(502).json({ error: 'Speech synthesis failed' });
+  }
+});
+
+// Voices the speech synthesis engine is configured with
+app.get('/api/tts/voices', (req, res) => {
+  res.json({ configured: synthesizer.isConfigured(), voices: synthesizer.getVoices() });
+});
+
+// Report API errors as JSON; Express's default error page would leak a stack trace
+// Body parser errors (malformed JSON, a body that isn't an object, too large) carry their own 4xx status
+app.use('/api', (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({ error: err.type === 'entity.parse.failed' ? 'Request body must be a JSON object or array' : err.message });
+  }
+
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Session transcripts are private, don't let the static handler serve them
+app.use((req, res, next) => {
+  if (isPrivateStaticPath(req.path)) {
+    return res.status(404).end();
+  }
+  next();
+});
+
 // Serve static files from the current directory
 app.use(express.static(__dirname));
 